@@ -0,0 +1,49 @@
+// Service worker for quest reminders.
+// The app posts reminders here so notifications are shown by the worker:
+// they appear while the tab is in the background and clicking one focuses
+// the app. Where Notification Triggers are supported, upcoming reminders are
+// also scheduled ahead of time so they fire even after the tab is closed.
+
+self.addEventListener("install", () => self.skipWaiting());
+self.addEventListener("activate", (event) => event.waitUntil(self.clients.claim()));
+
+const supportsTriggers = typeof TimestampTrigger !== "undefined";
+
+function show(reminder, extra = {}) {
+  return self.registration.showNotification(reminder.title, {
+    body: reminder.body,
+    tag: reminder.key,
+    data: { questId: reminder.questId },
+    ...extra,
+  });
+}
+
+self.addEventListener("message", (event) => {
+  const { type, reminders = [] } = event.data || {};
+
+  if (type === "show") {
+    event.waitUntil(Promise.all(reminders.map((reminder) => show(reminder))));
+  }
+
+  if (type === "schedule" && supportsTriggers) {
+    // Same tag replaces an earlier scheduled copy of the reminder
+    event.waitUntil(
+      Promise.all(
+        reminders.map((reminder) =>
+          show(reminder, { showTrigger: new TimestampTrigger(reminder.at) })
+        )
+      )
+    );
+  }
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((clients) => {
+      const client = clients.find((c) => "focus" in c);
+      return client ? client.focus() : self.clients.openWindow("/");
+    })
+  );
+});
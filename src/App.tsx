@@ -1,49 +1,283 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useGameData } from './hooks/useGameData';
+import { useReminders } from './hooks/useReminders';
+import { useUndoShortcuts } from './hooks/useUndoShortcuts';
 import { AuthScreen } from './components/AuthScreen';
 import { CharacterProfile } from './components/CharacterProfile';
 import { QuestManager } from './components/QuestManager';
 import { Dashboard } from './components/Dashboard';
+import { AchievementToasts } from './components/AchievementToasts';
+import { AnalyticsView } from './components/AnalyticsView';
+import { UndoSnackbar } from './components/UndoSnackbar';
+import { TemplateLibrary } from './components/TemplateLibrary';
+import { AlertTriangle, BarChart3, LibraryBig, ListChecks, Loader2, Redo2, Undo2, X } from 'lucide-react';
 
 function App() {
   const {
+    status,
+    error,
+    retryLoad,
+    startFresh,
+    dismissError,
     name,
     character,
     quests,
+    domains,
+    ledger,
+    settings,
+    streaks,
+    streakFreezes,
+    achievements,
+    pulses,
+    retros,
+    lessonLog,
+    party,
+    playerLedger,
+    unlockToasts,
+    dismissUnlockToast,
+    undoToast,
+    dismissUndoToast,
+    canUndo,
+    canRedo,
+    undoLabel,
+    redoLabel,
+    undo,
+    redo,
     loginDemo,
+    addMember,
+    removeMember,
     addQuest,
+    updateQuest,
+    deleteQuest,
+    archiveQuest,
+    restoreQuest,
     toggleComplete,
+    toggleStep,
+    backfillCompletion,
+    setWeekStart,
+    setRemindersEnabled,
+    dashboardDomains,
+    setDashboardDomain,
+    save,
+    importSave,
+    importCalendarEvents,
+    addDomain,
+    editDomain,
+    removeDomain,
+    moveDomainQuests,
+    templatePacks,
+    installTemplatePack,
+    removeTemplatePack,
+    saveTemplatePack,
+    deleteTemplatePack,
+    submitPulse,
+    finishRetro,
+    cancelRetro,
+    completeLesson,
     resetDemo,
   } = useGameData();
 
+  const [view, setView] = useState<"quests" | "analytics">("quests");
+  const [showTemplates, setShowTemplates] = useState(false);
+  const reminders = useReminders(quests, settings.weekStart, settings.remindersEnabled, setRemindersEnabled);
+  useUndoShortcuts(undo, redo);
+
+  const snackbar = <UndoSnackbar toast={undoToast} onUndo={undo} onDismiss={dismissUndoToast} />;
+
+  if (status === "loading") {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-b from-indigo-50 to-white">
+        <div className="flex items-center gap-3 text-gray-600">
+          <Loader2 size={20} className="animate-spin text-indigo-600" />
+          Loading your adventure...
+        </div>
+      </div>
+    );
+  }
+
+  if (status === "error") {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-b from-indigo-50 to-white p-6">
+        <div className="max-w-md w-full bg-white rounded-2xl shadow-lg p-8 space-y-4">
+          <div className="flex items-center gap-2 text-red-600">
+            <AlertTriangle size={20} />
+            <h1 className="font-semibold">Your saved game could not be loaded</h1>
+          </div>
+          <p className="text-sm text-gray-600">{error}</p>
+          <div className="flex gap-3">
+            <button
+              onClick={retryLoad}
+              className="flex-1 py-3 px-6 rounded-lg bg-indigo-600 text-white font-medium hover:bg-indigo-700 transition-colors"
+            >
+              Try again
+            </button>
+            <button
+              onClick={startFresh}
+              className="py-3 px-6 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors"
+            >
+              Start fresh
+            </button>
+          </div>
+          <p className="text-xs text-gray-400">
+            Starting fresh keeps a copy of the unreadable save so it can still be recovered.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
   if (!name) {
-    return <AuthScreen onLogin={loginDemo} />;
+    // A reset lands here, so its undo snackbar has to as well
+    return (
+      <>
+        <AuthScreen onLogin={loginDemo} />
+        {snackbar}
+      </>
+    );
   }
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100">
       <div className="container mx-auto px-6 py-8 max-w-7xl">
+        {error && (
+          <div className="mb-4 flex items-center gap-3 rounded-lg border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-700">
+            <AlertTriangle size={16} />
+            <span className="flex-1">{error}</span>
+            <button onClick={dismissError} className="text-red-500 hover:text-red-700" title="Dismiss">
+              <X size={16} />
+            </button>
+          </div>
+        )}
+
         <div className="bg-white shadow-xl rounded-2xl p-8">
           <div className="grid gap-8 lg:grid-cols-3">
             {/* Left Sidebar: Character Profile */}
             <aside className="lg:col-span-1">
               <CharacterProfile 
                 character={character} 
+                ledger={ledger}
+                party={party}
+                onAddMember={addMember}
+                onRemoveMember={removeMember}
+                achievements={achievements}
+                quests={quests}
+                domains={domains}
+                onAddDomain={addDomain}
+                onEditDomain={editDomain}
+                onRemoveDomain={removeDomain}
+                onMoveDomainQuests={moveDomainQuests}
+                weekStart={settings.weekStart}
+                onWeekStartChange={setWeekStart}
+                dashboardDomains={dashboardDomains}
+                onDashboardDomainChange={setDashboardDomain}
+                reminders={reminders}
+                save={save}
+                onImport={importSave}
+                onImportEvents={importCalendarEvents}
                 onReset={resetDemo} 
               />
             </aside>
 
             {/* Main Content */}
             <main className="lg:col-span-2 space-y-8">
-              <Dashboard playerName={name} />
+              <Dashboard 
+                playerName={name} 
+                streaks={streaks} 
+                domains={domains}
+                streakFreezes={streakFreezes} 
+                quests={quests}
+                partySize={party.length}
+                pulses={pulses}
+                onSubmitPulse={submitPulse}
+                retros={retros}
+                onAddQuest={addQuest}
+                onFinishRetro={finishRetro}
+                onCancelRetro={cancelRetro}
+                workDomain={dashboardDomains.work}
+                familyDomain={dashboardDomains.family}
+                weekStart={settings.weekStart}
+                lessonLog={lessonLog}
+                onCompleteLesson={completeLesson}
+              />
               
               <div>
-                <h2 className="text-2xl font-bold text-gray-800 mb-6">Your Quests</h2>
-                <QuestManager
-                  quests={quests}
-                  onAddQuest={addQuest}
-                  onToggleComplete={toggleComplete}
-                />
+                <div className="flex items-center justify-between mb-6">
+                  <h2 className="text-2xl font-bold text-gray-800">
+                    {view === "quests" ? "Your Quests" : "Your Progress"}
+                  </h2>
+                  <div className="flex items-center gap-3">
+                    <button
+                      onClick={() => setShowTemplates(true)}
+                      className="flex items-center gap-1 px-3 py-1.5 rounded-lg border border-gray-200 text-sm text-gray-600 hover:bg-gray-50 transition-colors"
+                      title="Browse and install quest template packs"
+                    >
+                      <LibraryBig size={14} />
+                      Templates
+                    </button>
+                    <div className="flex rounded-lg border border-gray-200 p-1 text-sm">
+                      <button
+                        onClick={undo}
+                        disabled={!canUndo}
+                        className="p-1 rounded-md text-gray-600 hover:bg-gray-50 disabled:opacity-40 disabled:hover:bg-transparent transition-colors"
+                        title={canUndo ? `Undo: ${undoLabel} (Ctrl+Z)` : "Nothing to undo"}
+                      >
+                        <Undo2 size={16} />
+                      </button>
+                      <button
+                        onClick={redo}
+                        disabled={!canRedo}
+                        className="p-1 rounded-md text-gray-600 hover:bg-gray-50 disabled:opacity-40 disabled:hover:bg-transparent transition-colors"
+                        title={canRedo ? `Redo: ${redoLabel} (Ctrl+Shift+Z)` : "Nothing to redo"}
+                      >
+                        <Redo2 size={16} />
+                      </button>
+                    </div>
+                    <div className="flex rounded-lg border border-gray-200 p-1 text-sm">
+                      <button
+                        onClick={() => setView("quests")}
+                        className={`flex items-center gap-1 px-3 py-1 rounded-md transition-colors ${
+                          view === "quests" ? "bg-indigo-600 text-white" : "text-gray-600 hover:bg-gray-50"
+                        }`}
+                      >
+                        <ListChecks size={14} />
+                        Quests
+                      </button>
+                      <button
+                        onClick={() => setView("analytics")}
+                        className={`flex items-center gap-1 px-3 py-1 rounded-md transition-colors ${
+                          view === "analytics" ? "bg-indigo-600 text-white" : "text-gray-600 hover:bg-gray-50"
+                        }`}
+                      >
+                        <BarChart3 size={14} />
+                        Analytics
+                      </button>
+                    </div>
+                  </div>
+                </div>
+                {view === "quests" ? (
+                  <QuestManager
+                    quests={quests}
+                    domains={domains}
+                    party={party}
+                    weekStart={settings.weekStart}
+                    streaks={streaks.quests}
+                    onAddQuest={addQuest}
+                    onToggleComplete={toggleComplete}
+                    onToggleStep={toggleStep}
+                    onUpdateQuest={updateQuest}
+                    onDeleteQuest={deleteQuest}
+                    onArchiveQuest={archiveQuest}
+                    onRestoreQuest={restoreQuest}
+                  />
+                ) : (
+                  <AnalyticsView 
+                    quests={quests} 
+                    domains={domains} 
+                    ledger={playerLedger} 
+                    weekStart={settings.weekStart} 
+                    onBackfill={backfillCompletion} 
+                  />
+                )}
               </div>
             </main>
           </div>
@@ -56,6 +290,21 @@ function App() {
           </p>
         </footer>
       </div>
+
+      {showTemplates && (
+        <TemplateLibrary
+          ownPacks={templatePacks}
+          quests={quests}
+          domains={domains}
+          onInstall={installTemplatePack}
+          onRemove={removeTemplatePack}
+          onSavePack={saveTemplatePack}
+          onDeletePack={deleteTemplatePack}
+          onClose={() => setShowTemplates(false)}
+        />
+      )}
+      <AchievementToasts toasts={unlockToasts} onDismiss={dismissUnlockToast} />
+      {snackbar}
     </div>
   );
 }
@@ -0,0 +1,51 @@
+import { useEffect, useRef } from "react";
+import type { Achievement } from "../types";
+import { Trophy, X } from "lucide-react";
+
+interface AchievementToastsProps {
+  toasts: Achievement[];
+  onDismiss: (id: string) => void;
+}
+
+const TOAST_MS = 6000;
+
+function AchievementToast({ achievement, onDismiss }: { achievement: Achievement; onDismiss: () => void }) {
+  // Parents re-render often; keep the timer running from first display
+  const dismiss = useRef(onDismiss);
+  dismiss.current = onDismiss;
+
+  useEffect(() => {
+    const timer = window.setTimeout(() => dismiss.current(), TOAST_MS);
+    return () => window.clearTimeout(timer);
+  }, []);
+
+  return (
+    <div className="flex items-start gap-3 w-80 bg-white rounded-xl shadow-lg border border-amber-200 p-4">
+      <div className="w-10 h-10 shrink-0 rounded-full bg-gradient-to-br from-amber-300 to-amber-500 flex items-center justify-center text-white">
+        <Trophy size={18} />
+      </div>
+      <div className="flex-1 min-w-0">
+        <p className="text-xs font-medium uppercase tracking-wide text-amber-600">Badge unlocked</p>
+        <p className="font-semibold text-gray-800">{achievement.title}</p>
+        <p className="text-sm text-gray-500">{achievement.description}</p>
+      </div>
+      <button onClick={onDismiss} className="text-gray-400 hover:text-gray-600" title="Dismiss">
+        <X size={16} />
+      </button>
+    </div>
+  );
+}
+
+export function AchievementToasts({ toasts, onDismiss }: AchievementToastsProps) {
+  return (
+    <div className="fixed bottom-6 right-6 z-50 flex flex-col gap-3">
+      {toasts.slice(0, 3).map(achievement => (
+        <AchievementToast 
+          key={achievement.id} 
+          achievement={achievement} 
+          onDismiss={() => onDismiss(achievement.id)} 
+        />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,193 @@
+import type { ReactNode } from "react";
+import type { DomainDefinition, Quest, WeekStart, XPLedgerEntry } from "../types";
+import { AlertTriangle } from "lucide-react";
+import { completionRates, domainBalance, levelTimeline, weeklyDomainXP } from "../utils/analytics";
+import { ANALYTICS } from "../config/analytics";
+import { DOMAIN_COLORS } from "../config/domains";
+import { HabitHeatmap } from "./HabitHeatmap";
+
+interface AnalyticsViewProps {
+  quests: Quest[];
+  domains: DomainDefinition[];
+  ledger: XPLedgerEntry[];
+  weekStart: WeekStart;
+  onBackfill: (questId: string, date: string) => void;
+}
+
+const shortDate = (date: string) => {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+};
+
+const percent = (value: number) => `${Math.round(value * 100)}%`;
+
+function Panel({ title, children }: { title: string; children: ReactNode }) {
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-100 space-y-4">
+      <h3 className="font-semibold text-gray-800">{title}</h3>
+      {children}
+    </div>
+  );
+}
+
+function Legend({ domains }: { domains: DomainDefinition[] }) {
+  return (
+    <div className="flex flex-wrap gap-4 text-xs text-gray-600">
+      {domains.map(domain => (
+        <span key={domain.id} className="flex items-center gap-1">
+          <span className={`w-3 h-3 rounded-sm ${DOMAIN_COLORS[domain.color].bar}`} />
+          {domain.name.toUpperCase()}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+function LevelChart({ points }: { points: ReturnType<typeof levelTimeline> }) {
+  if (points.length < 2) {
+    return <p className="text-sm text-gray-500">Earn XP on a few different days to see your progress over time.</p>;
+  }
+
+  const width = 600;
+  const height = 160;
+  const first = new Date(points[0].date).getTime();
+  const span = Math.max(new Date(points[points.length - 1].date).getTime() - first, 1);
+  const maxXP = Math.max(...points.map(point => point.totalXP), 1);
+  const x = (date: string) => ((new Date(date).getTime() - first) / span) * (width - 20) + 10;
+  const y = (xp: number) => height - 20 - (xp / maxXP) * (height - 40);
+  const levelUps = points.filter((point, index) => index > 0 && point.level > points[index - 1].level);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-40">
+      <polyline
+        points={points.map(point => `${x(point.date)},${y(point.totalXP)}`).join(" ")}
+        fill="none"
+        stroke="#6366f1"
+        strokeWidth={2}
+        strokeLinejoin="round"
+      />
+      {levelUps.map(point => (
+        <g key={point.date}>
+          <circle cx={x(point.date)} cy={y(point.totalXP)} r={4} fill="#6366f1" />
+          <text x={x(point.date)} y={y(point.totalXP) - 8} textAnchor="middle" className="fill-gray-600 text-[10px]">
+            Lv {point.level}
+          </text>
+        </g>
+      ))}
+      <text x={10} y={height - 4} className="fill-gray-400 text-[10px]">{shortDate(points[0].date)}</text>
+      <text x={width - 10} y={height - 4} textAnchor="end" className="fill-gray-400 text-[10px]">
+        {shortDate(points[points.length - 1].date)}
+      </text>
+    </svg>
+  );
+}
+
+export function AnalyticsView({ quests, domains, ledger, weekStart, onBackfill }: AnalyticsViewProps) {
+  const now = new Date();
+  const ids = domains.map(domain => domain.id);
+  const nameOf = (id: string) => domains.find(domain => domain.id === id)?.name ?? id;
+  const weeks = weeklyDomainXP(ledger, quests, ids, now, weekStart);
+  const maxWeek = Math.max(...weeks.map(week => ids.reduce((sum, id) => sum + week.domains[id], 0)), 1);
+  const rates = completionRates(quests, now, weekStart);
+  const balance = domainBalance(weeks, ids);
+  const timeline = levelTimeline(ledger);
+
+  return (
+    <section className="space-y-6">
+      {balance.neglected.length > 0 && (
+        <div className="flex items-center gap-3 rounded-lg border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-800">
+          <AlertTriangle size={16} />
+          <span>
+            {balance.neglected.map(id => nameOf(id).toUpperCase()).join(", ")}{" "}
+            {balance.neglected.length === 1 ? "has" : "have"} earned less than {percent(balance.threshold)} of
+            your XP over the last {ANALYTICS.balanceWeeks} weeks.
+          </span>
+        </div>
+      )}
+
+      <Panel title="Habit heatmap">
+        <HabitHeatmap quests={quests} domains={domains} weekStart={weekStart} onBackfill={onBackfill} />
+      </Panel>
+
+      <Panel title="XP per domain per week">
+        <div className="flex items-end gap-2 h-48">
+          {weeks.map(week => {
+            const total = ids.reduce((sum, id) => sum + week.domains[id], 0);
+            return (
+              <div key={week.week} className="flex-1 flex flex-col items-center gap-1 h-full justify-end">
+                <span className="text-[10px] text-gray-500">{total > 0 ? total : ""}</span>
+                <div 
+                  className="w-full flex flex-col-reverse rounded-t overflow-hidden" 
+                  style={{ height: `${(total / maxWeek) * 100}%` }}
+                  title={domains.map(domain => `${domain.name}: ${week.domains[domain.id]} XP`).join("\n")}
+                >
+                  {domains.map(domain => (
+                    <div 
+                      key={domain.id} 
+                      className={DOMAIN_COLORS[domain.color].bar} 
+                      style={{ height: total > 0 ? `${(week.domains[domain.id] / total) * 100}%` : 0 }} 
+                    />
+                  ))}
+                </div>
+                <span className="text-[10px] text-gray-400">{shortDate(week.week)}</span>
+              </div>
+            );
+          })}
+        </div>
+        <Legend domains={domains} />
+      </Panel>
+
+      <div className="grid gap-6 md:grid-cols-2">
+        <Panel title="Completion rate">
+          <div className="space-y-3">
+            {(["daily", "weekly", "once"] as const).map(cadence => {
+              const { rate, completed, possible } = rates[cadence];
+              return (
+                <div key={cadence} className="space-y-1">
+                  <div className="flex justify-between text-sm text-gray-600">
+                    <span className="capitalize">{cadence}</span>
+                    <span title={`${completed} of ${possible}`}>{rate === null ? "–" : percent(rate)}</span>
+                  </div>
+                  <div className="w-full bg-gray-200 h-2 rounded-full overflow-hidden">
+                    <div className="h-2 bg-indigo-500 rounded-full" style={{ width: percent(rate ?? 0) }} />
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+          <p className="text-xs text-gray-500">
+            Daily quests over the last {ANALYTICS.rateWindowDays} days, weekly quests over the last{" "}
+            {ANALYTICS.rateWindowWeeks} weeks.
+          </p>
+        </Panel>
+
+        <Panel title="Domain balance">
+          <div className="flex h-3 rounded-full overflow-hidden bg-gray-200">
+            {domains.map(domain => (
+              <div 
+                key={domain.id} 
+                className={DOMAIN_COLORS[domain.color].bar} 
+                style={{ width: percent(balance.shares[domain.id]) }} 
+              />
+            ))}
+          </div>
+          <div className="space-y-1 text-sm text-gray-600">
+            {domains.map(domain => (
+              <div key={domain.id} className="flex justify-between">
+                <span className="uppercase text-xs font-medium text-gray-500">{domain.name}</span>
+                <span className={balance.neglected.includes(domain.id) ? "text-amber-700 font-medium" : ""}>
+                  {percent(balance.shares[domain.id])}
+                </span>
+              </div>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500">Share of quest XP over the last {ANALYTICS.balanceWeeks} weeks.</p>
+        </Panel>
+      </div>
+
+      <Panel title="Level progress">
+        <LevelChart points={timeline} />
+      </Panel>
+    </section>
+  );
+}
@@ -0,0 +1,44 @@
+import type { PartyMember } from "../types";
+import { Users } from "lucide-react";
+import { PLAYER_ID } from "../utils/party";
+
+interface AssigneePickerProps {
+  party: PartyMember[];
+  value: string[];
+  onChange: (assignees: string[]) => void;
+}
+
+// Nobody picked means the quest is the player's alone
+export function AssigneePicker({ party, value, onChange }: AssigneePickerProps) {
+  const members = [{ id: PLAYER_ID, name: "You" }, ...party];
+  const toggle = (id: string) =>
+    onChange(value.includes(id) ? value.filter(item => item !== id) : [...value, id]);
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-1 text-sm font-medium text-gray-700">
+        <Users size={14} />
+        Assigned to
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {members.map(member => (
+          <button 
+            key={member.id}
+            type="button"
+            onClick={() => toggle(member.id)}
+            className={`px-3 py-1 rounded-full border text-xs transition-colors ${
+              value.includes(member.id)
+                ? "bg-purple-600 border-purple-600 text-white"
+                : "border-gray-300 text-gray-600 hover:bg-gray-50"
+            }`}
+          >
+            {member.name}
+          </button>
+        ))}
+      </div>
+      {value.length > 1 && (
+        <p className="text-xs text-gray-500">Everyone assigned gets the full XP when it's done.</p>
+      )}
+    </div>
+  );
+}
@@ -1,11 +1,14 @@
 import React, { useState } from "react";
 
 interface AuthScreenProps {
-  onLogin: (name: string) => void;
+  onLogin: (name: string, memberNames?: string[]) => void;
 }
 
 export function AuthScreen({ onLogin }: AuthScreenProps) {
   const [inputName, setInputName] = useState("");
+  const [household, setHousehold] = useState("");
+
+  const memberNames = () => household.split(",").map(name => name.trim()).filter(Boolean);
 
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-b from-indigo-50 to-white p-6">
@@ -21,12 +24,19 @@ export function AuthScreen({ onLogin }: AuthScreenProps) {
             onChange={(e) => setInputName(e.target.value)}
             placeholder="Enter your name"
             className="w-full p-4 rounded-lg border border-gray-200 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-200 transition-all"
-            onKeyDown={(e) => e.key === "Enter" && onLogin(inputName)}
+            onKeyDown={(e) => e.key === "Enter" && onLogin(inputName, memberNames())}
+          />
+          <input
+            value={household}
+            onChange={(e) => setHousehold(e.target.value)}
+            placeholder="Household members, comma separated (optional)"
+            className="w-full p-3 rounded-lg border border-gray-200 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-200 transition-all text-sm"
+            onKeyDown={(e) => e.key === "Enter" && onLogin(inputName, memberNames())}
           />
           
           <div className="flex gap-3">
             <button
-              onClick={() => onLogin(inputName)}
+              onClick={() => onLogin(inputName, memberNames())}
               className="flex-1 py-3 px-6 rounded-lg bg-indigo-600 text-white font-medium hover:bg-indigo-700 transition-colors"
             >
               Start Your Journey
@@ -0,0 +1,48 @@
+import type { Achievement } from "../types";
+import { Lock, Trophy } from "lucide-react";
+
+interface BadgeShelfProps {
+  achievements: Achievement[];
+  unlocked: Record<string, string>;
+}
+
+const tierColors: Record<Achievement["tier"], string> = {
+  bronze: "from-amber-600 to-orange-700",
+  silver: "from-slate-300 to-slate-500",
+  gold: "from-yellow-300 to-amber-500",
+};
+
+export function BadgeShelf({ achievements, unlocked }: BadgeShelfProps) {
+  const unlockedCount = achievements.filter(achievement => unlocked[achievement.id]).length;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="font-medium text-gray-800">Badges</h3>
+        <span className="text-xs text-gray-500">{unlockedCount} / {achievements.length}</span>
+      </div>
+      <div className="grid grid-cols-5 gap-2">
+        {achievements.map(achievement => {
+          const unlockedAt = unlocked[achievement.id];
+          const tooltip = unlockedAt
+            ? `${achievement.title}: ${achievement.description} (unlocked ${new Date(unlockedAt).toLocaleDateString()})`
+            : `${achievement.title}: ${achievement.description}`;
+
+          return (
+            <div 
+              key={achievement.id} 
+              title={tooltip}
+              className={`aspect-square rounded-full flex items-center justify-center ${
+                unlockedAt
+                  ? `bg-gradient-to-br ${tierColors[achievement.tier]} text-white shadow`
+                  : "bg-gray-100 text-gray-300"
+              }`}
+            >
+              {unlockedAt ? <Trophy size={16} /> : <Lock size={14} />}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
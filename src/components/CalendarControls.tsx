@@ -0,0 +1,110 @@
+import { useRef, useState } from "react";
+import type { Domain, GameSave } from "../types";
+import { DomainSelect } from "./DomainSelect";
+import { CalendarDays, CalendarPlus } from "lucide-react";
+import { downloadFile, exportFilename } from "../utils/saveFiles";
+import { parseICS, questsToICS, type CalendarEvent } from "../utils/ical";
+
+interface CalendarControlsProps {
+  save: GameSave;
+  onImportEvents: (events: CalendarEvent[], domain: Domain) => void;
+}
+
+export function CalendarControls({ save, onImportEvents }: CalendarControlsProps) {
+  const fileInput = useRef<HTMLInputElement>(null);
+  const [pending, setPending] = useState<{ fileName: string; events: CalendarEvent[] } | null>(null);
+  // Family is where calendar events usually belong, when it's still there
+  const [domain, setDomain] = useState<Domain>(
+    save.domains.some(item => item.id === "family") ? "family" : save.domains[0].id
+  );
+  const [importError, setImportError] = useState<string | null>(null);
+
+  const handleFile = async (file: File | undefined) => {
+    if (!file) return;
+    setImportError(null);
+
+    try {
+      setPending({ fileName: file.name, events: parseICS(await file.text()) });
+    } catch (err) {
+      setPending(null);
+      setImportError(err instanceof Error ? err.message : String(err));
+    } finally {
+      if (fileInput.current) fileInput.current.value = "";
+    }
+  };
+
+  const confirmImport = () => {
+    if (!pending) return;
+    onImportEvents(pending.events, domain);
+    setPending(null);
+  };
+
+  const exportCalendar = () => {
+    const calendarName = save.name ? `${save.name}'s quests` : undefined;
+    downloadFile(
+      exportFilename(save, "ics"),
+      questsToICS(save.quests, save.settings.weekStart, calendarName),
+      "text/calendar"
+    );
+  };
+
+  const buttonClass = "flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-800 transition-colors";
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-4">
+        <button
+          className={buttonClass}
+          onClick={exportCalendar}
+          title="Daily and weekly quests repeat; one-off quests appear on their due date"
+        >
+          <CalendarDays size={14} />
+          Export calendar
+        </button>
+        <button className={buttonClass} onClick={() => fileInput.current?.click()}>
+          <CalendarPlus size={14} />
+          Import calendar
+        </button>
+        <input
+          ref={fileInput}
+          type="file"
+          accept="text/calendar,.ics"
+          className="hidden"
+          onChange={(e) => handleFile(e.target.files?.[0])}
+        />
+      </div>
+
+      {importError && (
+        <p className="text-xs text-red-600">Calendar import failed: {importError}</p>
+      )}
+
+      {pending && (
+        <div className="p-3 rounded-lg bg-indigo-50 border border-indigo-100 space-y-2 text-sm">
+          <p className="text-gray-700">
+            <strong>{pending.fileName}</strong>: {pending.events.length} upcoming{" "}
+            {pending.events.length === 1 ? "event" : "events"} to add as one-off quests.
+          </p>
+          <label className="flex items-center gap-2 text-gray-600">
+            Domain
+            <DomainSelect domains={save.domains} value={domain} onChange={setDomain} className="p-1" />
+          </label>
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={confirmImport}
+              disabled={pending.events.length === 0}
+              className="px-3 py-1 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 transition-colors disabled:opacity-50"
+            >
+              Import
+            </button>
+            <button
+              onClick={() => setPending(null)}
+              className="px-3 py-1 rounded-lg border border-gray-300 text-gray-700 hover:bg-white transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,29 +1,126 @@
 import React from "react";
-import type { Character } from "../types";
+import type { Character, Domain, DomainDefinition, GameSave, PartyMember, Quest, WeekStart, XPLedgerEntry } from "../types";
+import { Award } from "lucide-react";
 import { xpForNextLevel } from "../utils/game";
+import { WEEKDAY_NAMES } from "../utils/cadence";
+import { REASON_LABELS } from "../utils/ledger";
+import type { ImportMode } from "../utils/saveFiles";
+import type { CalendarEvent } from "../utils/ical";
+import type { DomainInput } from "../utils/domains";
+import { SaveDataControls } from "./SaveDataControls";
+import { CalendarControls } from "./CalendarControls";
+import { BadgeShelf } from "./BadgeShelf";
+import { DomainManager } from "./DomainManager";
+import { PartyPanel } from "./PartyPanel";
+import { ACHIEVEMENTS } from "../config/achievements";
+import type { ReminderControls } from "../hooks/useReminders";
+import {
+  ATTRIBUTES,
+  ATTRIBUTE_MILESTONES,
+  BASE_ATTRIBUTES,
+  calculateAttributeLevel,
+  pointsForNextAttributeLevel,
+} from "../utils/attributes";
 
 interface CharacterProfileProps {
   character: Character;
+  ledger: XPLedgerEntry[];
+  party: PartyMember[];
+  onAddMember: (name: string) => void;
+  onRemoveMember: (memberId: string) => void;
+  achievements: Record<string, string>;
+  quests: Quest[];
+  domains: DomainDefinition[];
+  onAddDomain: (input: DomainInput) => DomainDefinition;
+  onEditDomain: (id: Domain, input: DomainInput) => void;
+  onRemoveDomain: (id: Domain, moveTo?: Domain) => void;
+  onMoveDomainQuests: (from: Domain, to: Domain) => void;
+  weekStart: WeekStart;
+  onWeekStartChange: (weekStart: WeekStart) => void;
+  dashboardDomains: { work?: Domain; family?: Domain };
+  onDashboardDomainChange: (card: "work" | "family", domain: Domain) => void;
+  reminders: ReminderControls;
+  save: GameSave;
+  onImport: (save: GameSave, mode: ImportMode) => void;
+  onImportEvents: (events: CalendarEvent[], domain: Domain) => void;
   onReset: () => void;
 }
 
-function Attribute({ label, value }: { label: string; value: number }) {
+function Attribute({ 
+  label, 
+  level, 
+  points 
+}: { 
+  label: string; 
+  level: number; 
+  points: number;
+}) {
+  const needed = pointsForNextAttributeLevel(level);
+  const milestones = ATTRIBUTE_MILESTONES.filter(milestone => level >= milestone.level);
+  const nextMilestone = ATTRIBUTE_MILESTONES.find(milestone => level < milestone.level);
+
   return (
-    <div className="flex items-center justify-between text-sm">
-      <span className="text-gray-700">{label}</span>
-      <div className="w-32 bg-gray-200 h-2 rounded-full overflow-hidden">
+    <div className="space-y-1">
+      <div className="flex items-center justify-between text-sm">
+        <span className="text-gray-700">
+          {label} <span className="text-xs text-gray-400">Lv {level}</span>
+        </span>
         <div 
-          className="h-2 bg-indigo-500 rounded-full transition-all duration-300" 
-          style={{ width: `${Math.min((value / 10) * 100, 100)}%` }} 
-        />
+          className="w-32 bg-gray-200 h-2 rounded-full overflow-hidden" 
+          title={`${points} / ${needed} points to level ${level + 1}`}
+        >
+          <div 
+            className="h-2 bg-indigo-500 rounded-full transition-all duration-300" 
+            style={{ width: `${Math.min((points / needed) * 100, 100)}%` }} 
+          />
+        </div>
+      </div>
+      <div className="flex flex-wrap items-center gap-1">
+        {milestones.map(milestone => (
+          <span 
+            key={milestone.level} 
+            className="flex items-center gap-1 px-2 py-0.5 rounded-full bg-amber-100 text-amber-800 text-xs"
+          >
+            <Award size={10} />
+            {milestone.title}
+          </span>
+        ))}
+        {nextMilestone && (
+          <span className="text-xs text-gray-400">
+            Next: {nextMilestone.title} at Lv {nextMilestone.level}
+          </span>
+        )}
       </div>
     </div>
   );
 }
 
-export function CharacterProfile({ character, onReset }: CharacterProfileProps) {
+export function CharacterProfile({ 
+  character, 
+  ledger, 
+  party, 
+  onAddMember, 
+  onRemoveMember, 
+  achievements, 
+  quests, 
+  domains, 
+  onAddDomain, 
+  onEditDomain, 
+  onRemoveDomain, 
+  onMoveDomainQuests, 
+  weekStart, 
+  onWeekStartChange, 
+  dashboardDomains, 
+  onDashboardDomainChange, 
+  reminders, 
+  save, 
+  onImport, 
+  onImportEvents, 
+  onReset 
+}: CharacterProfileProps) {
   const xpNeeded = xpForNextLevel(character.level) - character.xp;
   const xpProgress = (character.xp / xpForNextLevel(character.level)) * 100;
+  const recentActivity = ledger.slice(-5).reverse();
 
   return (
     <div className="space-y-6">
@@ -49,19 +146,130 @@ export function CharacterProfile({ character, onReset }: CharacterProfileProps)
         <p className="mt-2 text-sm text-gray-500">{xpNeeded} XP to next level</p>
       </div>
 
+      {/* Household party */}
+      <PartyPanel 
+        playerName={character.name} 
+        party={party} 
+        ledger={ledger} 
+        onAddMember={onAddMember} 
+        onRemoveMember={onRemoveMember} 
+      />
+
       {/* Attributes */}
       <div className="space-y-3">
         <h3 className="font-medium text-gray-800">Attributes</h3>
-        <div className="space-y-2">
-          <Attribute label="Empathy" value={character.attributes.empathy} />
-          <Attribute label="Discipline" value={character.attributes.discipline} />
-          <Attribute label="Strategy" value={character.attributes.strategy} />
-          <Attribute label="Communication" value={character.attributes.communication} />
+        <div className="space-y-3">
+          {ATTRIBUTES.map(({ key, label }) => {
+            const progress = calculateAttributeLevel(
+              BASE_ATTRIBUTES[key], 
+              character.attributePoints?.[key] ?? 0
+            );
+            return (
+              <Attribute 
+                key={key} 
+                label={label} 
+                level={character.attributes[key]} 
+                points={progress.points} 
+              />
+            );
+          })}
         </div>
       </div>
 
-      {/* Reset Demo */}
-      <div className="pt-4 border-t border-gray-200">
+      {/* Badges */}
+      <BadgeShelf achievements={ACHIEVEMENTS} unlocked={achievements} />
+
+      {/* Activity (XP ledger) */}
+      <div className="space-y-3">
+        <h3 className="font-medium text-gray-800">Recent Activity</h3>
+        {recentActivity.length === 0 && (
+          <p className="text-sm text-gray-500">Complete a quest to earn your first XP.</p>
+        )}
+        <ul className="space-y-2">
+          {recentActivity.map(entry => (
+            <li key={entry.id} className="flex items-center justify-between text-sm">
+              <div className="min-w-0">
+                <div className="text-gray-700 truncate">{entry.note ?? REASON_LABELS[entry.reason]}</div>
+                <div className="text-xs text-gray-400">
+                  {REASON_LABELS[entry.reason]} • {new Date(entry.timestamp).toLocaleString()}
+                </div>
+              </div>
+              <span className={`font-medium ${entry.amount < 0 ? "text-red-600" : "text-green-600"}`}>
+                {entry.amount > 0 ? "+" : ""}{entry.amount} XP
+              </span>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {/* Domain registry */}
+      <DomainManager 
+        domains={domains} 
+        quests={quests} 
+        onAdd={onAddDomain} 
+        onEdit={onEditDomain} 
+        onRemove={onRemoveDomain} 
+        onMoveQuests={onMoveDomainQuests} 
+      />
+
+      {/* Settings */}
+      <div className="space-y-3">
+        <h3 className="font-medium text-gray-800">Settings</h3>
+        <label className="flex items-center justify-between text-sm text-gray-700">
+          Week starts on
+          <select 
+            value={weekStart} 
+            onChange={(e) => onWeekStartChange(Number(e.target.value) as WeekStart)} 
+            className="p-2 rounded-lg border border-gray-200 focus:border-indigo-500 transition-all"
+          >
+            {WEEKDAY_NAMES.map((day, index) => (
+              <option key={day} value={index}>{day}</option>
+            ))}
+          </select>
+        </label>
+        <p className="text-xs text-gray-500">
+          Weekly quests reset at the start of each week; daily quests reset at midnight.
+        </p>
+        {([
+          ["work", "Retro actions go to"],
+          ["family", "Family hub follows"],
+        ] as const).map(([card, label]) => (
+          <label key={card} className="flex items-center justify-between text-sm text-gray-700">
+            {label}
+            <select 
+              value={dashboardDomains[card] ?? ""} 
+              onChange={(e) => onDashboardDomainChange(card, e.target.value)} 
+              className="p-2 rounded-lg border border-gray-200 focus:border-indigo-500 transition-all"
+            >
+              {domains.map(domain => (
+                <option key={domain.id} value={domain.id}>{domain.name}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+        <label className="flex items-center justify-between text-sm text-gray-700">
+          Quest reminders
+          <input
+            type="checkbox"
+            checked={reminders.active}
+            disabled={reminders.permission === "unsupported" || reminders.permission === "denied"}
+            onChange={(e) => (e.target.checked ? reminders.enable() : reminders.disable())}
+            className="h-4 w-4 accent-indigo-600"
+          />
+        </label>
+        <p className="text-xs text-gray-500">
+          {reminders.permission === "unsupported"
+            ? "This browser doesn't support notifications."
+            : reminders.permission === "denied"
+              ? "Notifications are blocked for this site in your browser settings."
+              : "Get a notification when a quest with a due or preferred time comes up."}
+        </p>
+      </div>
+
+      {/* Save Data & Reset Demo */}
+      <div className="pt-4 border-t border-gray-200 space-y-3">
+        <SaveDataControls save={save} onImport={onImport} />
+        <CalendarControls save={save} onImportEvents={onImportEvents} />
         <button 
           className="text-sm text-indigo-600 hover:text-indigo-800 underline transition-colors"
           onClick={onReset}
@@ -0,0 +1,100 @@
+import { useState } from "react";
+import type { PulseResponse } from "../types";
+import { RefreshCw, TrendingDown, TrendingUp } from "lucide-react";
+import { useSalesReport } from "../hooks/useSalesReport";
+import { formatCurrency } from "../utils/sales";
+import { moraleScore } from "../utils/pulse";
+import { PULSE_SURVEY } from "../config/pulse";
+import { PulseSurvey } from "./PulseSurvey";
+
+interface CompanySnapshotProps {
+  pulses: PulseResponse[];
+  onSubmitPulse: (scores: Record<string, number>, note?: string) => void;
+}
+
+function Sparkline({ values }: { values: number[] }) {
+  const width = 120;
+  const height = 28;
+  const max = Math.max(...values, 1);
+  const step = width / Math.max(values.length - 1, 1);
+  const points = values
+    .map((value, index) => `${(index * step).toFixed(1)},${(height - (value / max) * (height - 2) - 1).toFixed(1)}`)
+    .join(" ");
+
+  return (
+    <svg width={width} height={height} className="text-blue-500" aria-hidden="true">
+      <polyline points={points} fill="none" stroke="currentColor" strokeWidth={2} strokeLinejoin="round" />
+    </svg>
+  );
+}
+
+export function CompanySnapshot({ pulses, onSubmitPulse }: CompanySnapshotProps) {
+  const sales = useSalesReport();
+  const [surveying, setSurveying] = useState(false);
+  const morale = moraleScore(pulses, new Date());
+
+  return (
+    <div className="space-y-2">
+      {sales.status === "ready" && (
+        <>
+          <p className="text-sm text-gray-600">
+            Revenue this month: <strong className="text-green-600">{formatCurrency(sales.snapshot.revenue)}</strong>
+          </p>
+          {sales.snapshot.change !== null && (
+            <p className={`flex items-center gap-1 text-xs font-medium ${sales.snapshot.change >= 0 ? "text-green-600" : "text-red-600"}`}>
+              {sales.snapshot.change >= 0 ? <TrendingUp size={12} /> : <TrendingDown size={12} />}
+              {sales.snapshot.change >= 0 ? "+" : ""}
+              {Math.round(sales.snapshot.change * 100)}% vs last month
+            </p>
+          )}
+          <Sparkline values={sales.snapshot.sparkline} />
+          {sales.snapshot.topProduct && (
+            <p className="text-xs text-gray-500">Top seller: {sales.snapshot.topProduct.productName}</p>
+          )}
+        </>
+      )}
+      {sales.status === "loading" && (
+        <p className="text-sm text-gray-400">Loading sales…</p>
+      )}
+      {sales.status === "error" && (
+        <p className="flex items-center gap-2 text-sm text-gray-500" title={sales.error}>
+          Sales data unavailable
+          <button onClick={sales.retry} className="text-blue-600 hover:text-blue-800" title="Try again">
+            <RefreshCw size={12} />
+          </button>
+        </p>
+      )}
+      {sales.status === "disabled" && (
+        <p className="text-sm text-gray-400">Set VITE_API_URL to show live sales.</p>
+      )}
+
+      <p className="text-sm text-gray-600">
+        Morale:{" "}
+        {morale ? (
+          <strong className="text-blue-600" title={`${morale.responses} responses in the last ${PULSE_SURVEY.windowDays} days`}>
+            {morale.percent}%
+          </strong>
+        ) : (
+          <span className="text-gray-400">no recent pulse</span>
+        )}
+        {!surveying && (
+          <button 
+            onClick={() => setSurveying(true)} 
+            className="ml-2 text-xs text-blue-600 hover:text-blue-800 underline transition-colors"
+          >
+            Log pulse
+          </button>
+        )}
+      </p>
+      {surveying && (
+        <PulseSurvey 
+          onSubmit={(scores, note) => {
+            onSubmitPulse(scores, note);
+            setSurveying(false);
+          }} 
+          onCancel={() => setSurveying(false)} 
+        />
+      )}
+    </div>
+  );
+}
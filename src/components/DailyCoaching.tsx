@@ -0,0 +1,52 @@
+import { useState } from "react";
+import type { Lesson, LessonCompletion } from "../types";
+import { CheckCircle2 } from "lucide-react";
+import { LESSONS } from "../config/lessons";
+import { todaysLesson } from "../utils/lessons";
+import { LessonModal } from "./LessonModal";
+
+interface DailyCoachingProps {
+  lessonLog: LessonCompletion[];
+  onCompleteLesson: (lesson: Lesson, reflection?: string) => void;
+}
+
+export function DailyCoaching({ lessonLog, onCompleteLesson }: DailyCoachingProps) {
+  const [open, setOpen] = useState(false);
+  const today = todaysLesson(LESSONS, lessonLog, new Date());
+
+  if (!today) {
+    return <p className="text-sm text-gray-500">No lessons installed.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-600">
+        Today's micro-lesson: {today.lesson.title}
+      </p>
+      {today.completed ? (
+        <p className="flex items-center gap-2 text-sm text-green-700">
+          <CheckCircle2 size={16} />
+          Done for today. A new lesson unlocks tomorrow.
+        </p>
+      ) : (
+        <button 
+          onClick={() => setOpen(true)} 
+          className="w-full px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm hover:bg-indigo-700 transition-colors"
+        >
+          Start {today.lesson.minutes}-min Lesson
+        </button>
+      )}
+
+      {open && (
+        <LessonModal 
+          lesson={today.lesson} 
+          onFinish={(reflection) => {
+            onCompleteLesson(today.lesson, reflection);
+            setOpen(false);
+          }} 
+          onClose={() => setOpen(false)} 
+        />
+      )}
+    </div>
+  );
+}
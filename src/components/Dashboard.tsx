@@ -1,8 +1,55 @@
-import React from "react";
-import { TrendingUp, Users, Heart, BookOpen } from "lucide-react";
+import React, { useState } from "react";
+import { TrendingUp, Users, Heart, BookOpen, Snowflake } from "lucide-react";
+import type { Domain, DomainDefinition, Lesson, LessonCompletion, PulseResponse, Quest, Retro, StreakSummary, WeekStart } from "../types";
+import { dateKey } from "../utils/cadence";
+import { nextCalendarEvent } from "../utils/ical";
+import { relationshipScore } from "../utils/party";
+import { retroPaidThisWeek } from "../utils/retro";
+import { PARTY } from "../config/party";
+import { localDateTime } from "../utils/schedule";
+import { CompanySnapshot } from "./CompanySnapshot";
+import { RetroSession } from "./RetroSession";
+import { RetroHistory } from "./RetroHistory";
+import { DailyCoaching } from "./DailyCoaching";
 
 interface DashboardProps {
   playerName: string;
+  streaks: StreakSummary;
+  domains: DomainDefinition[];
+  streakFreezes: number;
+  quests: Quest[];
+  partySize: number;
+  pulses: PulseResponse[];
+  onSubmitPulse: (scores: Record<string, number>, note?: string) => void;
+  retros: Retro[];
+  onAddQuest: (
+    title: string, 
+    domain: Domain, 
+    cadence: Quest["cadence"], 
+    details: { description?: string; retroId?: string }
+  ) => string | undefined;
+  onFinishRetro: (retro: Pick<Retro, "id" | "startedAt" | "notes" | "actions">) => void;
+  onCancelRetro: (retroId: string) => void;
+  weekStart: WeekStart;
+  // Where retro action quests go and whose calendar events the family hub shows
+  workDomain?: Domain;
+  familyDomain?: Domain;
+  lessonLog: LessonCompletion[];
+  onCompleteLesson: (lesson: Lesson, reflection?: string) => void;
+}
+
+// "Today", "Tomorrow" or a short weekday, plus the time when there is one
+function eventWhen(quest: Quest, now: Date) {
+  const tomorrow = new Date(now);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  const date = localDateTime(quest.dueDate as string);
+
+  const dayLabel = quest.dueDate === dateKey(now)
+    ? "Today"
+    : quest.dueDate === dateKey(tomorrow)
+      ? "Tomorrow"
+      : date.toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" });
+  return quest.dueTime ? `${dayLabel} ${quest.dueTime}` : dayLabel;
 }
 
 function DashboardCard({ 
@@ -25,7 +72,29 @@ function DashboardCard({
   );
 }
 
-export function Dashboard({ playerName }: DashboardProps) {
+export function Dashboard({ 
+  playerName, 
+  streaks, 
+  domains, 
+  streakFreezes, 
+  quests, 
+  partySize, 
+  pulses, 
+  onSubmitPulse, 
+  retros, 
+  onAddQuest, 
+  onFinishRetro, 
+  onCancelRetro, 
+  weekStart, 
+  workDomain, 
+  familyDomain, 
+  lessonLog, 
+  onCompleteLesson 
+}: DashboardProps) {
+  const [retroView, setRetroView] = useState<"session" | "history" | null>(null);
+  const now = new Date();
+  const nextEvent = familyDomain ? nextCalendarEvent(quests, familyDomain, now) : null;
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -33,11 +102,36 @@ export function Dashboard({ playerName }: DashboardProps) {
         <h1 className="text-3xl font-bold text-gray-800">
           Welcome back, {playerName}
         </h1>
-        <div className="text-sm text-gray-600 bg-green-100 px-3 py-2 rounded-full">
-          Daily streak: <strong className="text-green-800">3</strong>
+        <div className="flex items-center gap-2">
+          {streakFreezes > 0 && (
+            <div 
+              className="flex items-center gap-1 text-sm text-sky-700 bg-sky-100 px-3 py-2 rounded-full"
+              title="Streak freezes protect your streak for one missed day each"
+            >
+              <Snowflake size={14} />
+              <strong>{streakFreezes}</strong>
+            </div>
+          )}
+          <div 
+            className="text-sm text-gray-600 bg-green-100 px-3 py-2 rounded-full"
+            title={`Longest streak: ${streaks.global.longest} days`}
+          >
+            Daily streak: <strong className="text-green-800">{streaks.global.current}</strong>
+          </div>
         </div>
       </header>
 
+      {/* Domain Streaks */}
+      <div className="flex flex-wrap gap-4 text-sm text-gray-600">
+        {domains.map(domain => (
+          <span key={domain.id}>
+            <span className="uppercase text-xs font-medium text-gray-500">{domain.name}</span>{" "}
+            <strong className="text-gray-800">{streaks.domains[domain.id]?.current ?? 0}</strong>
+            <span className="text-xs text-gray-400"> / best {streaks.domains[domain.id]?.longest ?? 0}</span>
+          </span>
+        ))}
+      </div>
+
       {/* Dashboard Cards */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
         <DashboardCard 
@@ -45,15 +139,23 @@ export function Dashboard({ playerName }: DashboardProps) {
           icon={<TrendingUp size={20} className="text-blue-600" />}
         >
           <div className="space-y-2">
-            <p className="text-sm text-gray-600">
-              Revenue: <strong className="text-green-600">$3,200</strong>
-            </p>
-            <p className="text-sm text-gray-600">
-              Morale: <strong className="text-blue-600">75%</strong>
-            </p>
-            <button className="mt-3 text-sm text-blue-600 hover:text-blue-800 underline transition-colors">
-              Run 15-min retro
-            </button>
+            <CompanySnapshot pulses={pulses} onSubmitPulse={onSubmitPulse} />
+            <div className="flex flex-wrap items-center gap-3 mt-3">
+              <button 
+                onClick={() => setRetroView("session")} 
+                className="text-sm text-blue-600 hover:text-blue-800 underline transition-colors"
+              >
+                Run 15-min retro
+              </button>
+              {retros.length > 0 && (
+                <button 
+                  onClick={() => setRetroView("history")} 
+                  className="text-xs text-gray-500 hover:text-gray-700 transition-colors"
+                >
+                  Past retros ({retros.length})
+                </button>
+              )}
+            </div>
           </div>
         </DashboardCard>
 
@@ -62,12 +164,24 @@ export function Dashboard({ playerName }: DashboardProps) {
           icon={<Heart size={20} className="text-purple-600" />}
         >
           <div className="space-y-2">
-            <p className="text-sm text-gray-600">
-              Next event: <strong>Device-free dinner — Sat</strong>
-            </p>
-            <p className="text-sm text-gray-600">
-              Relationship score: <strong className="text-purple-600">82</strong>
-            </p>
+            {nextEvent ? (
+              <p className="text-sm text-gray-600">
+                Next event: <strong>{nextEvent.title} — {eventWhen(nextEvent, now)}</strong>
+              </p>
+            ) : (
+              <p className="text-sm text-gray-600">
+                Next event: <span className="text-gray-400">import a family calendar to see it here</span>
+              </p>
+            )}
+            {partySize > 0 ? (
+              <p className="text-sm text-gray-600" title={`From quests completed together over the last ${PARTY.relationshipWindowDays} days`}>
+                Relationship score: <strong className="text-purple-600">{relationshipScore(quests, now)}</strong>
+              </p>
+            ) : (
+              <p className="text-sm text-gray-600">
+                Relationship score: <span className="text-gray-400">add household members to start one</span>
+              </p>
+            )}
           </div>
         </DashboardCard>
 
@@ -75,16 +189,23 @@ export function Dashboard({ playerName }: DashboardProps) {
           title="Daily Coaching" 
           icon={<BookOpen size={20} className="text-indigo-600" />}
         >
-          <div className="space-y-3">
-            <p className="text-sm text-gray-600">
-              Today's micro-lesson: Active listening techniques
-            </p>
-            <button className="w-full px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm hover:bg-indigo-700 transition-colors">
-              Start 5-min Lesson
-            </button>
-          </div>
+          <DailyCoaching lessonLog={lessonLog} onCompleteLesson={onCompleteLesson} />
         </DashboardCard>
       </div>
+
+      {retroView === "session" && (
+        <RetroSession 
+          domain={domains.find(domain => domain.id === workDomain)} 
+          onAddQuest={onAddQuest} 
+          onFinish={onFinishRetro} 
+          onCancel={onCancelRetro} 
+          rewardAvailable={!retroPaidThisWeek(retros, now, weekStart)} 
+          onClose={() => setRetroView(null)} 
+        />
+      )}
+      {retroView === "history" && (
+        <RetroHistory retros={retros} quests={quests} onClose={() => setRetroView(null)} />
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,20 @@
+import type { Domain, DomainDefinition } from "../types";
+import { DOMAIN_COLORS, DOMAIN_ICONS } from "../config/domains";
+import { domainInfo } from "../utils/domains";
+
+interface DomainBadgeProps {
+  domains: DomainDefinition[];
+  domain: Domain;
+}
+
+export function DomainBadge({ domains, domain }: DomainBadgeProps) {
+  const info = domainInfo(domains, domain);
+  const Icon = DOMAIN_ICONS[info.icon] ?? DOMAIN_ICONS.tag;
+
+  return (
+    <span className={`flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium ${DOMAIN_COLORS[info.color].badge}`}>
+      <Icon size={12} />
+      {info.name.toUpperCase()}
+    </span>
+  );
+}
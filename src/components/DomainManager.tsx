@@ -0,0 +1,266 @@
+import { useState } from "react";
+import type { Domain, DomainColor, DomainDefinition, Quest } from "../types";
+import { AlertTriangle, Pencil, Plus, Trash2 } from "lucide-react";
+import { ATTRIBUTES } from "../utils/attributes";
+import { unregisteredDomains, type DomainInput } from "../utils/domains";
+import { DOMAIN_COLORS, DOMAIN_ICONS } from "../config/domains";
+import { DomainBadge } from "./DomainBadge";
+import { DomainSelect } from "./DomainSelect";
+
+interface DomainManagerProps {
+  domains: DomainDefinition[];
+  quests: Quest[];
+  onAdd: (input: DomainInput) => DomainDefinition;
+  onEdit: (id: Domain, input: DomainInput) => void;
+  onRemove: (id: Domain, moveTo?: Domain) => void;
+  onMoveQuests: (from: Domain, to: Domain) => void;
+}
+
+const NEW_DOMAIN: DomainInput = { name: "", color: "teal", icon: "star", attributes: { discipline: 1 } };
+
+const errorMessage = (err: unknown) => (err instanceof Error ? err.message : String(err));
+
+function DomainForm({
+  initial,
+  onSave,
+  onCancel
+}: {
+  initial: DomainInput;
+  onSave: (input: DomainInput) => void;
+  onCancel: () => void;
+}) {
+  const [input, setInput] = useState(initial);
+  const [error, setError] = useState<string | null>(null);
+
+  const save = () => {
+    try {
+      onSave(input);
+    } catch (err) {
+      setError(errorMessage(err));
+    }
+  };
+
+  return (
+    <div className="p-3 rounded-lg border border-indigo-200 space-y-3 text-sm">
+      <input
+        className="w-full p-2 rounded-lg border border-gray-200 focus:border-indigo-500 transition-all"
+        placeholder="Domain name, e.g. Health"
+        value={input.name}
+        onChange={(e) => setInput({ ...input, name: e.target.value })}
+        onKeyDown={(e) => e.key === "Enter" && save()}
+        autoFocus
+      />
+      <div className="flex flex-wrap gap-2">
+        {(Object.keys(DOMAIN_COLORS) as DomainColor[]).map(color => (
+          <button
+            key={color}
+            onClick={() => setInput({ ...input, color })}
+            className={`w-6 h-6 rounded-full ${DOMAIN_COLORS[color].bar} ${
+              input.color === color ? "ring-2 ring-offset-2 ring-indigo-500" : ""
+            }`}
+            title={color}
+          />
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-1">
+        {Object.entries(DOMAIN_ICONS).map(([key, Icon]) => (
+          <button
+            key={key}
+            onClick={() => setInput({ ...input, icon: key })}
+            className={`p-1.5 rounded-lg border transition-colors ${
+              input.icon === key
+                ? "border-indigo-500 bg-indigo-50 text-indigo-700"
+                : "border-gray-200 text-gray-500 hover:bg-gray-50"
+            }`}
+            title={key}
+          >
+            <Icon size={14} />
+          </button>
+        ))}
+      </div>
+      <div className="space-y-1">
+        <p className="text-xs text-gray-500">Attribute weights for quests that don't pick their own</p>
+        <div className="grid grid-cols-2 gap-2">
+          {ATTRIBUTES.map(({ key, label }) => (
+            <label key={key} className="flex items-center justify-between gap-2 text-gray-700">
+              {label}
+              <input
+                type="number"
+                min={0}
+                max={5}
+                value={input.attributes[key] ?? 0}
+                onChange={(e) => setInput({
+                  ...input,
+                  attributes: { ...input.attributes, [key]: Number(e.target.value) || 0 }
+                })}
+                className="w-14 p-1 rounded-lg border border-gray-200 focus:border-indigo-500 transition-all"
+              />
+            </label>
+          ))}
+        </div>
+      </div>
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      <div className="flex gap-2">
+        <button
+          onClick={save}
+          className="px-3 py-1 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 transition-colors"
+        >
+          Save
+        </button>
+        <button
+          onClick={onCancel}
+          className="px-3 py-1 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export function DomainManager({ domains, quests, onAdd, onEdit, onRemove, onMoveQuests }: DomainManagerProps) {
+  const [editing, setEditing] = useState<Domain | "new" | null>(null);
+  const [removing, setRemoving] = useState<Domain | null>(null);
+  const [moveTo, setMoveTo] = useState<Domain>("");
+  const [error, setError] = useState<string | null>(null);
+  const orphans = unregisteredDomains(quests, domains);
+
+  const questCount = (id: Domain) => quests.filter(quest => quest.domain === id).length;
+
+  const startRemoving = (id: Domain) => {
+    setRemoving(id);
+    setMoveTo(domains.find(domain => domain.id !== id)?.id ?? "");
+    setError(null);
+  };
+
+  const confirmRemove = (id: Domain) => {
+    try {
+      onRemove(id, questCount(id) > 0 ? moveTo : undefined);
+      setRemoving(null);
+    } catch (err) {
+      setError(errorMessage(err));
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="font-medium text-gray-800">Domains</h3>
+        {editing !== "new" && (
+          <button
+            onClick={() => setEditing("new")}
+            className="flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-800 transition-colors"
+          >
+            <Plus size={14} />
+            Add domain
+          </button>
+        )}
+      </div>
+
+      {editing === "new" && (
+        <DomainForm
+          initial={NEW_DOMAIN}
+          onSave={(input) => {
+            onAdd(input);
+            setEditing(null);
+          }}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      <ul className="space-y-2">
+        {domains.map(domain => {
+          const count = questCount(domain.id);
+
+          if (editing === domain.id) {
+            return (
+              <li key={domain.id}>
+                <DomainForm
+                  initial={domain}
+                  onSave={(input) => {
+                    onEdit(domain.id, input);
+                    setEditing(null);
+                  }}
+                  onCancel={() => setEditing(null)}
+                />
+              </li>
+            );
+          }
+
+          return (
+            <li key={domain.id} className="space-y-2">
+              <div className="flex items-center justify-between text-sm">
+                <div className="flex items-center gap-2">
+                  <DomainBadge domains={domains} domain={domain.id} />
+                  <span className="text-xs text-gray-400">{count} {count === 1 ? "quest" : "quests"}</span>
+                </div>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => setEditing(domain.id)}
+                    className="text-gray-400 hover:text-indigo-600 transition-colors"
+                    title="Edit domain"
+                  >
+                    <Pencil size={14} />
+                  </button>
+                  <button
+                    onClick={() => startRemoving(domain.id)}
+                    disabled={domains.length <= 1}
+                    className="text-gray-400 hover:text-red-600 transition-colors disabled:opacity-40 disabled:hover:text-gray-400"
+                    title={domains.length <= 1 ? "Keep at least one domain" : "Remove domain"}
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              </div>
+
+              {removing === domain.id && (
+                <div className="p-3 rounded-lg bg-red-50 border border-red-100 space-y-2 text-sm">
+                  {count > 0 ? (
+                    <label className="flex flex-wrap items-center gap-2 text-gray-700">
+                      Move its {count} {count === 1 ? "quest" : "quests"} to
+                      <DomainSelect
+                        domains={domains.filter(item => item.id !== domain.id)}
+                        value={moveTo}
+                        onChange={setMoveTo}
+                        className="p-1"
+                      />
+                    </label>
+                  ) : (
+                    <p className="text-gray-700">Remove {domain.name}? It has no quests.</p>
+                  )}
+                  {error && <p className="text-xs text-red-600">{error}</p>}
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => confirmRemove(domain.id)}
+                      className="px-3 py-1 rounded-lg bg-red-600 text-white hover:bg-red-700 transition-colors"
+                    >
+                      Remove
+                    </button>
+                    <button
+                      onClick={() => setRemoving(null)}
+                      className="px-3 py-1 rounded-lg border border-gray-300 text-gray-700 hover:bg-white transition-colors"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {/* Quests whose domain was removed elsewhere, e.g. in another tab */}
+      {orphans.map(({ id, count }) => (
+        <div
+          key={id}
+          className="flex flex-wrap items-center gap-2 p-3 rounded-lg bg-amber-50 border border-amber-200 text-sm text-amber-800"
+        >
+          <AlertTriangle size={14} />
+          {count} {count === 1 ? "quest is" : "quests are"} in "{id}", which is no longer a domain. Move to
+          <DomainSelect domains={domains} value={id} onChange={(to) => onMoveQuests(id, to)} className="p-1" />
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+import type { Domain, DomainDefinition } from "../types";
+
+interface DomainSelectProps {
+  domains: DomainDefinition[];
+  value: Domain;
+  onChange: (domain: Domain) => void;
+  className?: string;
+}
+
+// Quests in a domain that has since been removed keep it selectable until moved
+export function DomainSelect({ domains, value, onChange, className = "p-2" }: DomainSelectProps) {
+  const registered = domains.some(domain => domain.id === value);
+
+  return (
+    <select 
+      value={value} 
+      onChange={(e) => onChange(e.target.value)} 
+      className={`${className} rounded-lg border border-gray-200 focus:border-indigo-500 transition-all`}
+    >
+      {!registered && <option value={value}>{value} (removed)</option>}
+      {domains.map(domain => (
+        <option key={domain.id} value={domain.id}>{domain.name}</option>
+      ))}
+    </select>
+  );
+}
@@ -0,0 +1,183 @@
+import { useMemo, useState } from "react";
+import type { DomainDefinition, Quest, WeekStart } from "../types";
+import { CalendarCheck, X } from "lucide-react";
+import { backfillCandidates, earliestBackfill, heatLevel, heatmapWeeks, type HeatmapDay, type HeatmapFilter } from "../utils/heatmap";
+import { dateKey } from "../utils/cadence";
+import { localDateTime } from "../utils/schedule";
+import { ANALYTICS } from "../config/analytics";
+
+interface HabitHeatmapProps {
+  quests: Quest[];
+  domains: DomainDefinition[];
+  weekStart: WeekStart;
+  onBackfill: (questId: string, date: string) => void;
+}
+
+const LEVEL_CLASSES = ["bg-gray-100", "bg-indigo-200", "bg-indigo-400", "bg-indigo-600", "bg-indigo-800"];
+
+const longDate = (date: string) => {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  });
+};
+
+const monthLabel = (date: string) => {
+  const [year, month] = date.split("-").map(Number);
+  return new Date(year, month - 1, 1).toLocaleDateString(undefined, { month: "short" });
+};
+
+// Filters are encoded as "domain:<id>" or "quest:<id>" in the select
+const toFilter = (value: string): HeatmapFilter => {
+  const [kind, ...rest] = value.split(":");
+  const id = rest.join(":");
+  return kind === "domain" ? { domain: id } : kind === "quest" ? { questId: id } : {};
+};
+
+const describe = (day: HeatmapDay) =>
+  day.completions.length === 0
+    ? `${longDate(day.date)}: nothing completed`
+    : `${longDate(day.date)}: ${day.completions.map(completion => completion.title).join(", ")}`;
+
+export function HabitHeatmap({ quests, domains, weekStart, onBackfill }: HabitHeatmapProps) {
+  const [filterValue, setFilterValue] = useState("all");
+  const [hovered, setHovered] = useState<HeatmapDay | null>(null);
+  const [selected, setSelected] = useState<string | null>(null);
+  const filter = useMemo(() => toFilter(filterValue), [filterValue]);
+  const now = new Date();
+  const today = dateKey(now);
+
+  // Keyed on `today` so a new column starts at midnight
+  const weeks = useMemo(
+    () => heatmapWeeks(quests, filter, localDateTime(today, "00:00"), weekStart, ANALYTICS.heatmapMonths),
+    [quests, filter, weekStart, today]
+  );
+  const days = weeks.flat().filter((day): day is HeatmapDay => day !== null);
+  const max = Math.max(...days.map(day => day.completions.length), 1);
+  const total = days.reduce((sum, day) => sum + day.completions.length, 0);
+  const habits = quests.filter(quest => quest.cadence !== "once" && !quest.archivedAt);
+
+  const selectedDay = days.find(day => day.date === selected);
+  const candidates = selected ? backfillCandidates(quests, filter, selected, now, weekStart) : [];
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <p className="text-sm text-gray-600">
+          {total} {total === 1 ? "completion" : "completions"} in the last {ANALYTICS.heatmapMonths} months
+        </p>
+        <select
+          value={filterValue}
+          onChange={(e) => {
+            setFilterValue(e.target.value);
+            setSelected(null);
+          }}
+          className="p-1 rounded-lg border border-gray-200 text-sm focus:border-indigo-500 transition-all"
+        >
+          <option value="all">All quests</option>
+          <optgroup label="Domains">
+            {domains.map(domain => (
+              <option key={domain.id} value={`domain:${domain.id}`}>{domain.name}</option>
+            ))}
+          </optgroup>
+          {habits.length > 0 && (
+            <optgroup label="Recurring quests">
+              {habits.map(quest => (
+                <option key={quest.id} value={`quest:${quest.id}`}>{quest.title}</option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+      </div>
+
+      <div className="overflow-x-auto">
+        <div className="inline-flex gap-[3px]" onMouseLeave={() => setHovered(null)}>
+          {weeks.map((week, index) => {
+            // A week's first day is never after today
+            const first = week[0] as HeatmapDay;
+            const newMonth = index === 0 || first.date.slice(0, 7) !== weeks[index - 1][0]?.date.slice(0, 7);
+            return (
+              <div key={index} className="flex flex-col gap-[3px]">
+                <span className="h-3 text-[9px] leading-3 text-gray-400 whitespace-nowrap">
+                  {newMonth ? monthLabel(first.date) : ""}
+                </span>
+                {week.map((day, dayIndex) =>
+                  day ? (
+                    <button
+                      key={day.date}
+                      onMouseEnter={() => setHovered(day)}
+                      onFocus={() => setHovered(day)}
+                      onClick={() => setSelected(day.date === selected ? null : day.date)}
+                      className={`w-3 h-3 rounded-sm ${LEVEL_CLASSES[heatLevel(day.completions.length, max)]} ${
+                        day.date === selected ? "ring-2 ring-offset-1 ring-orange-400" : ""
+                      }`}
+                      title={describe(day)}
+                      aria-label={describe(day)}
+                    />
+                  ) : (
+                    <span key={dayIndex} className="w-3 h-3" />
+                  )
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-gray-500">
+        <span>
+          {hovered ? describe(hovered) : "Hover a day to see what was done; click it to fill in a missed one."}
+        </span>
+        <span className="flex items-center gap-1">
+          Less
+          {LEVEL_CLASSES.map(shade => (
+            <span key={shade} className={`w-3 h-3 rounded-sm ${shade}`} />
+          ))}
+          More
+        </span>
+      </div>
+
+      {selectedDay && (
+        <div className="p-3 rounded-lg bg-indigo-50 border border-indigo-100 space-y-2 text-sm">
+          <div className="flex items-center justify-between">
+            <p className="font-medium text-gray-800">{longDate(selectedDay.date)}</p>
+            <button onClick={() => setSelected(null)} className="text-gray-400 hover:text-gray-700" title="Close">
+              <X size={14} />
+            </button>
+          </div>
+          {selectedDay.completions.length > 0 && (
+            <p className="text-gray-600">Done: {selectedDay.completions.map(completion => completion.title).join(", ")}</p>
+          )}
+          {selectedDay.date === today ? (
+            <p className="text-xs text-gray-500">Check off today's quests in your quest list.</p>
+          ) : selectedDay.date < earliestBackfill(now) ? (
+            <p className="text-xs text-gray-500">
+              Only the last {ANALYTICS.backfillDays} days can be filled in.
+            </p>
+          ) : candidates.length === 0 ? (
+            <p className="text-xs text-gray-500">Nothing left to fill in for this day.</p>
+          ) : (
+            <div className="space-y-1">
+              <p className="text-xs text-gray-500">Forgot to check something off? It counts toward your streaks but earns no XP.</p>
+              <ul className="flex flex-wrap gap-2">
+                {candidates.map(quest => (
+                  <li key={quest.id}>
+                    <button
+                      onClick={() => onBackfill(quest.id, selectedDay.date)}
+                      className="flex items-center gap-1 px-2 py-1 rounded-lg border border-indigo-200 bg-white text-indigo-700 hover:bg-indigo-100 transition-colors"
+                    >
+                      <CalendarCheck size={14} />
+                      {quest.title}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
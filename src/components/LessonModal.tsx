@@ -0,0 +1,106 @@
+import { useEffect, useState } from "react";
+import type { Lesson } from "../types";
+import { Check, ChevronLeft, ChevronRight, Timer, X } from "lucide-react";
+import { ATTRIBUTES } from "../utils/attributes";
+import { LESSON_ATTRIBUTE_POINTS, LESSON_XP } from "../config/lessons";
+
+interface LessonModalProps {
+  lesson: Lesson;
+  onFinish: (reflection?: string) => void;
+  onClose: () => void;
+}
+
+function formatClock(seconds: number) {
+  const abs = Math.abs(seconds);
+  return `${seconds < 0 ? "+" : ""}${Math.floor(abs / 60)}:${String(abs % 60).padStart(2, "0")}`;
+}
+
+export function LessonModal({ lesson, onFinish, onClose }: LessonModalProps) {
+  const [stepIndex, setStepIndex] = useState(0);
+  const [remaining, setRemaining] = useState(lesson.minutes * 60);
+  const [reflection, setReflection] = useState("");
+
+  // The reflection prompt is the last page, after the steps
+  const pageCount = lesson.steps.length + 1;
+  const onReflection = stepIndex === lesson.steps.length;
+  const attributeLabel = ATTRIBUTES.find(({ key }) => key === lesson.attribute)?.label;
+
+  useEffect(() => {
+    const timer = window.setInterval(() => setRemaining(prev => prev - 1), 1000);
+    return () => window.clearInterval(timer);
+  }, []);
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/40 p-4">
+      <div className="w-full max-w-lg bg-white rounded-2xl shadow-xl p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-gray-800">{lesson.title}</h3>
+          <div className="flex items-center gap-3">
+            <span className={`flex items-center gap-1 font-mono text-sm ${remaining < 0 ? "text-red-600" : "text-gray-700"}`}>
+              <Timer size={14} />
+              {formatClock(remaining)}
+            </span>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-700" title="Close lesson">
+              <X size={18} />
+            </button>
+          </div>
+        </div>
+
+        <div className="w-full bg-gray-200 h-1.5 rounded-full overflow-hidden">
+          <div 
+            className="h-1.5 bg-indigo-500 rounded-full transition-all duration-300" 
+            style={{ width: `${((stepIndex + 1) / pageCount) * 100}%` }} 
+          />
+        </div>
+
+        {onReflection ? (
+          <div className="space-y-2">
+            <p className="text-sm font-medium text-gray-700">Reflect</p>
+            <p className="text-gray-800">{lesson.reflection}</p>
+            <textarea 
+              className="w-full p-2 rounded-lg border border-gray-200 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-200 transition-all text-sm" 
+              placeholder="Your thoughts (optional)"
+              rows={3}
+              value={reflection} 
+              onChange={(e) => setReflection(e.target.value)}
+              autoFocus
+            />
+          </div>
+        ) : (
+          <div className="space-y-2 min-h-[6rem]">
+            <p className="text-xs uppercase text-gray-500">Step {stepIndex + 1} of {lesson.steps.length}</p>
+            <p className="text-gray-800">{lesson.steps[stepIndex]}</p>
+          </div>
+        )}
+
+        <div className="flex items-center justify-between">
+          <button 
+            onClick={() => setStepIndex(stepIndex - 1)} 
+            disabled={stepIndex === 0}
+            className="flex items-center gap-1 px-3 py-2 rounded-lg text-sm text-gray-600 hover:bg-gray-50 disabled:opacity-40"
+          >
+            <ChevronLeft size={14} />
+            Back
+          </button>
+          {onReflection ? (
+            <button 
+              onClick={() => onFinish(reflection.trim() || undefined)} 
+              className="flex items-center gap-2 px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm hover:bg-indigo-700 transition-colors"
+            >
+              <Check size={14} />
+              Finish (+{LESSON_XP} XP, +{LESSON_ATTRIBUTE_POINTS} {attributeLabel})
+            </button>
+          ) : (
+            <button 
+              onClick={() => setStepIndex(stepIndex + 1)} 
+              className="flex items-center gap-1 px-4 py-2 rounded-lg border border-gray-300 text-gray-700 text-sm hover:bg-gray-50 transition-colors"
+            >
+              Next
+              <ChevronRight size={14} />
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+import { useState } from "react";
+import type { PartyMember, XPLedgerEntry } from "../types";
+import { UserPlus, Users, X } from "lucide-react";
+import { xpForNextLevel } from "../utils/game";
+import { PLAYER_ID, memberStanding, partyPool } from "../utils/party";
+
+interface PartyPanelProps {
+  playerName: string;
+  party: PartyMember[];
+  ledger: XPLedgerEntry[];
+  onAddMember: (name: string) => void;
+  onRemoveMember: (memberId: string) => void;
+}
+
+export function PartyPanel({ playerName, party, ledger, onAddMember, onRemoveMember }: PartyPanelProps) {
+  const [newName, setNewName] = useState("");
+  const [error, setError] = useState<string | null>(null);
+  const members = [{ id: PLAYER_ID, name: playerName }, ...party];
+
+  const addMember = () => {
+    try {
+      onAddMember(newName);
+      setNewName("");
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : String(err));
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="flex items-center gap-2 font-medium text-gray-800">
+          <Users size={16} className="text-purple-600" />
+          Household
+        </h3>
+        {party.length > 0 && (
+          <span className="text-xs text-gray-500" title="XP earned together through assigned quests">
+            Party pool: <strong className="text-purple-700">{partyPool(ledger)} XP</strong>
+          </span>
+        )}
+      </div>
+
+      {party.length > 0 && (
+        <ul className="space-y-2">
+          {members.map(member => {
+            const standing = memberStanding(ledger, member.id);
+            return (
+              <li key={member.id} className="flex items-center gap-3 text-sm">
+                <span className="w-7 h-7 shrink-0 rounded-full bg-purple-100 text-purple-700 flex items-center justify-center text-xs font-semibold">
+                  {member.name[0]?.toUpperCase()}
+                </span>
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center justify-between">
+                    <span className="text-gray-700 truncate">{member.name}</span>
+                    <span className="text-xs text-gray-400">Lv {standing.level}</span>
+                  </div>
+                  <div className="w-full bg-gray-200 h-1.5 rounded-full overflow-hidden">
+                    <div 
+                      className="h-1.5 bg-purple-500 rounded-full transition-all duration-300" 
+                      style={{ width: `${Math.min((standing.xp / xpForNextLevel(standing.level)) * 100, 100)}%` }} 
+                    />
+                  </div>
+                </div>
+                {member.id !== PLAYER_ID && (
+                  <button 
+                    onClick={() => onRemoveMember(member.id)} 
+                    className="text-gray-400 hover:text-red-600 transition-colors" 
+                    title={`Remove ${member.name}`}
+                  >
+                    <X size={14} />
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <div className="flex gap-2">
+        <input 
+          className="flex-1 p-2 rounded-lg border border-gray-200 focus:border-indigo-500 transition-all text-sm" 
+          placeholder="Add a household member" 
+          value={newName} 
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && addMember()}
+        />
+        <button 
+          onClick={addMember} 
+          className="px-3 rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-50 transition-colors" 
+          title="Add member"
+        >
+          <UserPlus size={16} />
+        </button>
+      </div>
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      {party.length === 0 && (
+        <p className="text-xs text-gray-500">
+          Add family members to assign them quests and earn XP together.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+import { useState } from "react";
+import { PULSE_SURVEY } from "../config/pulse";
+
+interface PulseSurveyProps {
+  onSubmit: (scores: Record<string, number>, note?: string) => void;
+  onCancel: () => void;
+}
+
+export function PulseSurvey({ onSubmit, onCancel }: PulseSurveyProps) {
+  const [scores, setScores] = useState<Record<string, number>>({});
+  const [note, setNote] = useState("");
+  const complete = PULSE_SURVEY.questions.every(({ key }) => scores[key]);
+  const scale = Array.from({ length: PULSE_SURVEY.scale }, (_, index) => index + 1);
+
+  return (
+    <div className="mt-3 space-y-3 text-sm">
+      {PULSE_SURVEY.questions.map(({ key, label }) => (
+        <div key={key} className="space-y-1">
+          <p className="text-gray-700">{label}</p>
+          <div className="flex gap-1">
+            {scale.map(score => (
+              <button 
+                key={score}
+                type="button"
+                onClick={() => setScores(prev => ({ ...prev, [key]: score }))}
+                className={`w-8 h-8 rounded-lg border text-xs transition-colors ${
+                  scores[key] === score
+                    ? "bg-blue-600 border-blue-600 text-white"
+                    : "border-gray-300 text-gray-600 hover:bg-gray-50"
+                }`}
+              >
+                {score}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+      <input 
+        className="w-full p-2 rounded-lg border border-gray-200 focus:border-blue-500 transition-all" 
+        placeholder="Anything behind the scores? (optional)" 
+        value={note} 
+        onChange={(e) => setNote(e.target.value)}
+      />
+      <div className="flex gap-2">
+        <button 
+          onClick={() => onSubmit(scores, note.trim() || undefined)} 
+          disabled={!complete}
+          className="px-3 py-1 rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          Submit
+        </button>
+        <button 
+          onClick={onCancel} 
+          className="px-3 py-1 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,266 @@
+import { useState } from "react";
+import type { Domain, DomainDefinition, PartyMember, Priority, Quest, QuestChanges, QuestStep } from "../types";
+import { ArrowUp, Check, Link2, ListPlus, Trash2, X } from "lucide-react";
+import { uid } from "../utils/game";
+import { wouldCreateCycle } from "../utils/chains";
+import { PRIORITIES, parseTags } from "../utils/questFilters";
+import { DomainSelect } from "./DomainSelect";
+import { AssigneePicker } from "./AssigneePicker";
+
+interface QuestEditorProps {
+  quest: Quest;
+  quests: Quest[];
+  domains: DomainDefinition[];
+  party: PartyMember[];
+  onSave: (changes: QuestChanges) => void;
+  onCancel: () => void;
+}
+
+const DEFAULT_STEP_XP = 5;
+
+export function QuestEditor({ quest, quests, domains, party, onSave, onCancel }: QuestEditorProps) {
+  const [title, setTitle] = useState(quest.title);
+  const [description, setDescription] = useState(quest.description ?? "");
+  const [domain, setDomain] = useState<Domain>(quest.domain);
+  const [cadence, setCadence] = useState<Quest["cadence"]>(quest.cadence);
+  const [xp, setXp] = useState(String(quest.xp));
+  const [priority, setPriority] = useState<Priority | "">(quest.priority ?? "");
+  const [steps, setSteps] = useState<QuestStep[]>(quest.steps ?? []);
+  const [prerequisites, setPrerequisites] = useState<string[]>(quest.prerequisites ?? []);
+  const [dueDate, setDueDate] = useState(quest.dueDate ?? "");
+  const [dueTime, setDueTime] = useState(quest.dueTime ?? "");
+  const [preferredTime, setPreferredTime] = useState(quest.preferredTime ?? "");
+  const [tags, setTags] = useState((quest.tags ?? []).join(", "));
+  const [assignees, setAssignees] = useState<string[]>(quest.assignees ?? []);
+
+  // Quests this one may depend on without creating a cycle
+  const prerequisiteOptions = quests.filter(other => 
+    other.id !== quest.id && 
+    !other.archivedAt && 
+    !wouldCreateCycle(quest.id, other.id, quests)
+  );
+
+  const updateStep = (stepId: string, changes: Partial<QuestStep>) => {
+    setSteps(prev => prev.map(step => (step.id === stepId ? { ...step, ...changes } : step)));
+  };
+
+  const moveStepUp = (index: number) => {
+    if (index === 0) return;
+    setSteps(prev => {
+      const next = [...prev];
+      [next[index - 1], next[index]] = [next[index], next[index - 1]];
+      return next;
+    });
+  };
+
+  const togglePrerequisite = (questId: string) => {
+    setPrerequisites(prev => 
+      prev.includes(questId) ? prev.filter(id => id !== questId) : [...prev, questId]
+    );
+  };
+
+  const handleSave = () => {
+    if (!title.trim()) return;
+    const namedSteps = steps
+      .map(step => ({ ...step, title: step.title.trim() }))
+      .filter(step => step.title);
+    const parsedTags = parseTags(tags);
+
+    onSave({
+      title: title.trim(),
+      description: description.trim() || undefined,
+      domain,
+      cadence,
+      xp: Math.max(1, Math.round(Number(xp) || quest.xp)),
+      steps: namedSteps.length > 0 ? namedSteps : undefined,
+      prerequisites: prerequisites.length > 0 ? prerequisites : undefined,
+      // One-off quests have a due date; recurring ones a preferred time of day
+      dueDate: cadence === "once" && dueDate ? dueDate : undefined,
+      dueTime: cadence === "once" && dueDate && dueTime ? dueTime : undefined,
+      preferredTime: cadence !== "once" && preferredTime ? preferredTime : undefined,
+      tags: parsedTags.length > 0 ? parsedTags : undefined,
+      priority: priority || undefined,
+      assignees: assignees.length > 0 ? assignees : undefined,
+    });
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow-sm border border-indigo-200 space-y-3">
+      <input 
+        className="w-full p-2 rounded-lg border border-gray-200 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-200 transition-all" 
+        value={title} 
+        onChange={(e) => setTitle(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") handleSave();
+          if (e.key === "Escape") onCancel();
+        }}
+        autoFocus
+      />
+      <textarea 
+        className="w-full p-2 rounded-lg border border-gray-200 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-200 transition-all text-sm" 
+        placeholder="Description (optional)" 
+        rows={2}
+        value={description} 
+        onChange={(e) => setDescription(e.target.value)}
+      />
+      <input 
+        className="w-full p-2 rounded-lg border border-gray-200 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-200 transition-all text-sm" 
+        placeholder="Tags, comma separated (optional)" 
+        value={tags} 
+        onChange={(e) => setTags(e.target.value)}
+      />
+      <div className="flex flex-wrap items-center gap-3">
+        <DomainSelect domains={domains} value={domain} onChange={setDomain} />
+        <select 
+          value={cadence} 
+          onChange={(e) => setCadence(e.target.value as Quest["cadence"])} 
+          className="p-2 rounded-lg border border-gray-200 focus:border-indigo-500 transition-all"
+        >
+          <option value="daily">Daily</option>
+          <option value="weekly">Weekly</option>
+          <option value="once">Once</option>
+        </select>
+        <select 
+          value={priority} 
+          onChange={(e) => setPriority(e.target.value as Priority | "")} 
+          className="p-2 rounded-lg border border-gray-200 focus:border-indigo-500 transition-all"
+        >
+          <option value="">No priority</option>
+          {PRIORITIES.map(({ key, label }) => (
+            <option key={key} value={key}>{label} priority</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          <input 
+            type="number" 
+            min={1}
+            value={xp} 
+            onChange={(e) => setXp(e.target.value)}
+            className="w-20 p-2 rounded-lg border border-gray-200 focus:border-indigo-500 transition-all"
+          />
+          {steps.length > 0 ? "XP bonus" : "XP"}
+        </label>
+        {cadence === "once" ? (
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            Due
+            <input 
+              type="date" 
+              value={dueDate} 
+              onChange={(e) => setDueDate(e.target.value)}
+              className="p-2 rounded-lg border border-gray-200 focus:border-indigo-500 transition-all"
+            />
+            <input 
+              type="time" 
+              value={dueTime} 
+              disabled={!dueDate}
+              onChange={(e) => setDueTime(e.target.value)}
+              className="p-2 rounded-lg border border-gray-200 focus:border-indigo-500 transition-all disabled:opacity-50"
+            />
+          </label>
+        ) : (
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            Preferred time
+            <input 
+              type="time" 
+              value={preferredTime} 
+              onChange={(e) => setPreferredTime(e.target.value)}
+              className="p-2 rounded-lg border border-gray-200 focus:border-indigo-500 transition-all"
+            />
+          </label>
+        )}
+      </div>
+
+      {/* Steps */}
+      <div className="space-y-2">
+        <div className="text-sm font-medium text-gray-700">Steps</div>
+        {steps.map((step, index) => (
+          <div key={step.id} className="flex items-center gap-2">
+            <span className="w-5 text-xs text-gray-400 text-right">{index + 1}.</span>
+            <input 
+              className="flex-1 p-2 rounded-lg border border-gray-200 focus:border-indigo-500 transition-all text-sm" 
+              placeholder="Step title"
+              value={step.title} 
+              onChange={(e) => updateStep(step.id, { title: e.target.value })}
+            />
+            <input 
+              type="number" 
+              min={0}
+              value={step.xp} 
+              onChange={(e) => updateStep(step.id, { xp: Math.max(0, Math.round(Number(e.target.value) || 0)) })}
+              className="w-16 p-2 rounded-lg border border-gray-200 focus:border-indigo-500 transition-all text-sm"
+              title="XP for this step"
+            />
+            <button 
+              onClick={() => moveStepUp(index)} 
+              disabled={index === 0}
+              className="p-2 rounded-lg text-gray-400 hover:text-gray-700 disabled:opacity-30 transition-colors" 
+              title="Move up"
+            >
+              <ArrowUp size={14} />
+            </button>
+            <button 
+              onClick={() => setSteps(prev => prev.filter(s => s.id !== step.id))} 
+              className="p-2 rounded-lg text-gray-400 hover:text-red-600 transition-colors" 
+              title="Remove step"
+            >
+              <Trash2 size={14} />
+            </button>
+          </div>
+        ))}
+        <button 
+          onClick={() => setSteps(prev => [...prev, { id: uid(), title: "", xp: DEFAULT_STEP_XP }])} 
+          className="flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-800 transition-colors"
+        >
+          <ListPlus size={14} />
+          Add step
+        </button>
+      </div>
+
+      {/* Household assignment */}
+      {party.length > 0 && <AssigneePicker party={party} value={assignees} onChange={setAssignees} />}
+
+      {/* Prerequisites */}
+      {prerequisiteOptions.length > 0 && (
+        <div className="space-y-2">
+          <div className="flex items-center gap-1 text-sm font-medium text-gray-700">
+            <Link2 size={14} />
+            Unlocks after
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {prerequisiteOptions.map(other => (
+              <button 
+                key={other.id}
+                type="button"
+                onClick={() => togglePrerequisite(other.id)}
+                className={`px-3 py-1 rounded-full border text-xs transition-colors ${
+                  prerequisites.includes(other.id)
+                    ? "bg-indigo-600 border-indigo-600 text-white"
+                    : "border-gray-300 text-gray-600 hover:bg-gray-50"
+                }`}
+              >
+                {other.title}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="flex justify-end gap-2">
+        <button 
+          onClick={onCancel} 
+          className="flex items-center gap-1 px-3 py-2 rounded-lg border border-gray-300 text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+        >
+          <X size={14} />
+          Cancel
+        </button>
+        <button 
+          onClick={handleSave} 
+          className="flex items-center gap-1 px-3 py-2 rounded-lg bg-indigo-600 text-sm text-white hover:bg-indigo-700 transition-colors"
+        >
+          <Check size={14} />
+          Save
+        </button>
+      </div>
+    </div>
+  );
+}
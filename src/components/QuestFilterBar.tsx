@@ -0,0 +1,162 @@
+import type { ReactNode } from "react";
+import type { Domain, DomainDefinition, Quest } from "../types";
+import { Archive, ArrowUpDown, CalendarDays, Search, X } from "lucide-react";
+import {
+  CADENCES,
+  DEFAULT_FILTERS,
+  SORTS,
+  effectiveSort,
+  isFiltered,
+  type QuestFilters,
+  type QuestSort,
+  type QuestStatus,
+  type QuestView,
+} from "../utils/questFilters";
+
+interface QuestFilterBarProps {
+  filters: QuestFilters;
+  domains: DomainDefinition[];
+  onChange: (changes: Partial<QuestFilters>) => void;
+  tags: string[];
+  archivedCount: number;
+}
+
+const QUEST_VIEWS: { key: QuestView; label: string }[] = [
+  { key: "all", label: "All" },
+  { key: "today", label: "Today" },
+  { key: "upcoming", label: "Upcoming" },
+];
+
+const STATUS_LABELS: Record<QuestStatus, string> = {
+  all: "Any status",
+  open: "Open",
+  completed: "Completed",
+};
+
+const toggle = <T,>(list: T[], value: T) =>
+  list.includes(value) ? list.filter(item => item !== value) : [...list, value];
+
+function Chip({ active, onClick, children }: { active: boolean; onClick: () => void; children: ReactNode }) {
+  return (
+    <button 
+      onClick={onClick} 
+      className={`px-3 py-1 rounded-full text-xs border transition-colors ${
+        active
+          ? "bg-indigo-600 border-indigo-600 text-white"
+          : "border-gray-200 text-gray-600 hover:bg-gray-50"
+      }`}
+    >
+      {children}
+    </button>
+  );
+}
+
+export function QuestFilterBar({ filters, domains, onChange, tags, archivedCount }: QuestFilterBarProps) {
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex-1 min-w-[12rem] flex items-center gap-2 px-3 rounded-lg border border-gray-200 focus-within:border-indigo-500 transition-all">
+          <Search size={16} className="text-gray-400" />
+          <input 
+            type="search"
+            className="flex-1 py-2 text-sm outline-none bg-transparent" 
+            placeholder="Search quests" 
+            value={filters.search} 
+            onChange={(e) => onChange({ search: e.target.value })}
+          />
+        </label>
+
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          <ArrowUpDown size={14} className="text-gray-500" />
+          <select 
+            value={effectiveSort(filters)} 
+            onChange={(e) => onChange({ sort: e.target.value as QuestSort })} 
+            className="p-2 rounded-lg border border-gray-200 focus:border-indigo-500 transition-all"
+          >
+            {SORTS.map(({ key, label }) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+
+        <button 
+          onClick={() => onChange({ archived: !filters.archived })} 
+          className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm border transition-colors ${
+            filters.archived
+              ? "bg-gray-800 border-gray-800 text-white"
+              : "border-gray-200 text-gray-600 hover:bg-gray-50"
+          }`}
+        >
+          <Archive size={14} />
+          {filters.archived ? "Back to active quests" : `Archived (${archivedCount})`}
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {!filters.archived && (
+          <>
+            <CalendarDays size={16} className="text-gray-500" />
+            {QUEST_VIEWS.map(({ key, label }) => (
+              <Chip key={key} active={filters.view === key} onClick={() => onChange({ view: key })}>
+                {label}
+              </Chip>
+            ))}
+            <span className="mx-1 h-4 border-l border-gray-200" />
+          </>
+        )}
+
+        {domains.map(domain => (
+          <Chip 
+            key={domain.id} 
+            active={filters.domains.includes(domain.id)} 
+            onClick={() => onChange({ domains: toggle<Domain>(filters.domains, domain.id) })}
+          >
+            {domain.name.toUpperCase()}
+          </Chip>
+        ))}
+        <span className="mx-1 h-4 border-l border-gray-200" />
+
+        {CADENCES.map(cadence => (
+          <Chip 
+            key={cadence} 
+            active={filters.cadences.includes(cadence)} 
+            onClick={() => onChange({ cadences: toggle<Quest["cadence"]>(filters.cadences, cadence) })}
+          >
+            {cadence}
+          </Chip>
+        ))}
+        <span className="mx-1 h-4 border-l border-gray-200" />
+
+        <select 
+          value={filters.status} 
+          onChange={(e) => onChange({ status: e.target.value as QuestStatus })} 
+          className="p-1 rounded-lg border border-gray-200 text-xs text-gray-600 focus:border-indigo-500 transition-all"
+        >
+          {Object.entries(STATUS_LABELS).map(([status, label]) => (
+            <option key={status} value={status}>{label}</option>
+          ))}
+        </select>
+
+        {isFiltered(filters) && (
+          <button 
+            onClick={() => onChange({ ...DEFAULT_FILTERS, sort: filters.sort, view: filters.view, archived: filters.archived })} 
+            className="flex items-center gap-1 text-xs text-gray-500 hover:text-gray-800"
+          >
+            <X size={12} />
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {tags.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          {tags.map(tag => (
+            <Chip key={tag} active={filters.tags.includes(tag)} onClick={() => onChange({ tags: toggle(filters.tags, tag) })}>
+              #{tag}
+            </Chip>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,290 @@
+import { useState } from "react";
+import type { DomainDefinition, PartyMember, Quest, QuestChanges, Streak, WeekStart } from "../types";
+import {
+  Archive,
+  ArchiveRestore,
+  ChevronDown,
+  ChevronRight,
+  Clock,
+  Flag,
+  Flame,
+  Lock,
+  Pencil,
+  RotateCcw,
+  Trash2,
+  Users,
+} from "lucide-react";
+import { WEEKDAY_NAMES, nextResetAt } from "../utils/cadence";
+import { attributeLabels } from "../utils/attributes";
+import { blockingQuests, canToggleStep, hasSteps, stepProgress } from "../utils/chains";
+import { dueAt, isOverdue, isTimed } from "../utils/schedule";
+import { PLAYER_ID } from "../utils/party";
+import { QuestEditor } from "./QuestEditor";
+import { DomainBadge } from "./DomainBadge";
+
+interface QuestItemProps {
+  quest: Quest;
+  quests: Quest[];
+  domains: DomainDefinition[];
+  party: PartyMember[];
+  weekStart: WeekStart;
+  streak?: Streak;
+  onToggleComplete: (questId: string) => void;
+  onToggleStep: (questId: string, stepId: string) => void;
+  onUpdate: (questId: string, changes: QuestChanges) => void;
+  onDelete: (questId: string) => void;
+  onArchive: (questId: string) => void;
+  onRestore: (questId: string) => void;
+  onTagClick?: (tag: string) => void;
+}
+
+export function QuestItem({ 
+  quest, 
+  quests, 
+  domains, 
+  party, 
+  weekStart, 
+  streak, 
+  onToggleComplete, 
+  onToggleStep, 
+  onUpdate, 
+  onDelete, 
+  onArchive, 
+  onRestore, 
+  onTagClick 
+}: QuestItemProps) {
+  const [editing, setEditing] = useState(false);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [expanded, setExpanded] = useState(false);
+  const archived = Boolean(quest.archivedAt);
+  const blockers = blockingQuests(quest, quests);
+  const locked = blockers.length > 0 && !quest.completed;
+  const isChain = hasSteps(quest);
+  const progress = stepProgress(quest);
+
+  const getDueLabel = () => {
+    if (quest.cadence !== "once") {
+      return quest.preferredTime ? `at ${quest.preferredTime}` : null;
+    }
+    const due = dueAt(quest, new Date(), weekStart);
+    if (!due) return null;
+    const day = due.toLocaleDateString(undefined, { month: "short", day: "numeric" });
+    return isTimed(quest) ? `due ${day}, ${quest.dueTime}` : `due ${day}`;
+  };
+
+  const getResetLabel = () => {
+    const resetAt = nextResetAt(quest.cadence, new Date(), weekStart);
+    if (!resetAt) return null;
+    return quest.cadence === "daily" ? "resets at midnight" : `resets ${WEEKDAY_NAMES[resetAt.getDay()]}`;
+  };
+
+  if (editing) {
+    return (
+      <QuestEditor 
+        quest={quest} 
+        quests={quests}
+        domains={domains}
+        party={party}
+        onSave={(changes) => {
+          onUpdate(quest.id, changes);
+          setEditing(false);
+        }} 
+        onCancel={() => setEditing(false)} 
+      />
+    );
+  }
+
+  const resetLabel = quest.completed ? getResetLabel() : null;
+  const dueLabel = quest.completed ? null : getDueLabel();
+  const overdue = isOverdue(quest, new Date(), weekStart);
+  const iconButton = "p-2 rounded-lg text-gray-400 hover:text-gray-700 hover:bg-gray-100 transition-colors";
+
+  return (
+    <div className={`bg-white rounded-lg shadow-sm border ${overdue ? "border-red-300" : "border-gray-100"} hover:shadow-md transition-shadow ${archived || locked ? "opacity-75" : ""}`}>
+      <div className="group flex items-center justify-between p-4">
+        <div className="flex items-center gap-3 min-w-0">
+          {locked ? (
+            <Lock size={20} className="shrink-0 text-gray-400" />
+          ) : (
+            <input 
+              type="checkbox" 
+              checked={quest.completed} 
+              disabled={archived || isChain}
+              title={isChain ? "Completes when all steps are done" : undefined}
+              onChange={() => onToggleComplete(quest.id)}
+              className="w-5 h-5 text-indigo-600 rounded focus:ring-indigo-500"
+            />
+          )}
+          <div className="min-w-0">
+            <div className="flex items-center gap-1">
+              {isChain && (
+                <button 
+                  onClick={() => setExpanded(prev => !prev)} 
+                  className="text-gray-400 hover:text-gray-700"
+                  title={expanded ? "Hide steps" : "Show steps"}
+                >
+                  {expanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                </button>
+              )}
+              <span className={`font-medium ${quest.completed ? 'line-through text-gray-500' : 'text-gray-800'}`}>
+                {quest.title}
+              </span>
+            </div>
+            {quest.description && (
+              <p className="text-sm text-gray-500">{quest.description}</p>
+            )}
+            {locked && (
+              <p className="text-xs text-amber-700">
+                Blocked by: {blockers.map(blocker => blocker.title).join(", ")}
+              </p>
+            )}
+            {isChain && (
+              <div className="flex items-center gap-2 mt-1">
+                <div className="w-32 bg-gray-200 h-1.5 rounded-full overflow-hidden">
+                  <div 
+                    className="h-1.5 bg-indigo-500 rounded-full transition-all duration-300" 
+                    style={{ width: `${progress.ratio * 100}%` }} 
+                  />
+                </div>
+                <span className="text-xs text-gray-500">{progress.done}/{progress.total} steps</span>
+              </div>
+            )}
+            <div className="flex flex-wrap items-center gap-2 mt-1">
+              <DomainBadge domains={domains} domain={quest.domain} />
+              <span className="text-xs text-gray-500">{quest.cadence}</span>
+              {quest.difficulty && (
+                <span className="text-xs text-gray-500">{quest.difficulty}</span>
+              )}
+              {quest.priority && (
+                <span 
+                  className={`flex items-center gap-1 text-xs ${
+                    quest.priority === "high" ? "font-medium text-red-600" : "text-gray-500"
+                  }`}
+                >
+                  <Flag size={12} />
+                  {quest.priority}
+                </span>
+              )}
+              <span className="text-xs text-gray-500">•</span>
+              <span className="text-xs font-medium text-indigo-600">{quest.xp} XP</span>
+              <span className="text-xs text-gray-400">{attributeLabels(quest, domains).join(" · ")}</span>
+              {streak && streak.current > 0 && (
+                <span 
+                  className="flex items-center gap-1 text-xs font-medium text-orange-600"
+                  title={`Longest: ${streak.longest}`}
+                >
+                  <Flame size={12} />
+                  {streak.current}
+                </span>
+              )}
+              {dueLabel && (
+                <span className={`flex items-center gap-1 text-xs ${overdue ? "font-medium text-red-600" : "text-gray-500"}`}>
+                  <Clock size={12} />
+                  {overdue ? `overdue · ${dueLabel}` : dueLabel}
+                </span>
+              )}
+              {resetLabel && (
+                <span className="flex items-center gap-1 text-xs text-gray-400">
+                  <RotateCcw size={12} />
+                  {resetLabel}
+                </span>
+              )}
+              {quest.assignees && (
+                <span className="flex items-center gap-1 text-xs text-purple-600">
+                  <Users size={12} />
+                  {quest.assignees
+                    .map(id => (id === PLAYER_ID ? "You" : party.find(member => member.id === id)?.name))
+                    .filter(Boolean)
+                    .join(", ")}
+                </span>
+              )}
+              {quest.tags?.map(tag => (
+                <button 
+                  key={tag} 
+                  onClick={() => onTagClick?.(tag)} 
+                  disabled={!onTagClick}
+                  className="text-xs text-indigo-500 hover:text-indigo-700 disabled:hover:text-indigo-500"
+                >
+                  #{tag}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <div className="flex items-center gap-3 shrink-0">
+          {confirmingDelete ? (
+            <div className="flex items-center gap-2 text-sm">
+              <span className="text-gray-600">Delete for good?</span>
+              <button 
+                onClick={() => onDelete(quest.id)} 
+                className="px-3 py-1 rounded-lg bg-red-600 text-white hover:bg-red-700 transition-colors"
+              >
+                Delete
+              </button>
+              <button 
+                onClick={() => setConfirmingDelete(false)} 
+                className="px-3 py-1 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors"
+              >
+                Keep
+              </button>
+            </div>
+          ) : (
+            <div className="flex items-center opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+              {!archived && (
+                <button className={iconButton} title="Edit quest" onClick={() => setEditing(true)}>
+                  <Pencil size={16} />
+                </button>
+              )}
+              {archived ? (
+                <button className={iconButton} title="Restore quest" onClick={() => onRestore(quest.id)}>
+                  <ArchiveRestore size={16} />
+                </button>
+              ) : (
+                <button className={iconButton} title="Archive quest" onClick={() => onArchive(quest.id)}>
+                  <Archive size={16} />
+                </button>
+              )}
+              <button 
+                className="p-2 rounded-lg text-gray-400 hover:text-red-600 hover:bg-red-50 transition-colors" 
+                title="Delete quest" 
+                onClick={() => setConfirmingDelete(true)}
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+          )}
+          <div className="text-right text-sm text-gray-400">
+            <div>{new Date(quest.createdAt).toLocaleDateString()}</div>
+            {(quest.history?.length ?? 0) > 0 && (
+              <div className="text-xs">Completed {quest.history?.length}×</div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {isChain && expanded && (
+        <ol className="border-t border-gray-100 px-4 py-3 ml-8 space-y-2">
+          {quest.steps.map((step, index) => (
+            <li key={step.id} className="flex items-center gap-3 text-sm">
+              <input 
+                type="checkbox" 
+                checked={Boolean(step.completedAt)} 
+                disabled={archived || locked || !canToggleStep(quest, step.id)}
+                onChange={() => onToggleStep(quest.id, step.id)}
+                className="w-4 h-4 text-indigo-600 rounded focus:ring-indigo-500"
+              />
+              <span className={step.completedAt ? "line-through text-gray-400" : "text-gray-700"}>
+                {index + 1}. {step.title}
+              </span>
+              <span className="text-xs font-medium text-indigo-600">+{step.xp} XP</span>
+            </li>
+          ))}
+          <li className="text-xs text-gray-500">
+            Finish every step for a +{quest.xp} XP completion bonus
+          </li>
+        </ol>
+      )}
+    </div>
+  );
+}
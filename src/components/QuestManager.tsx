@@ -1,43 +1,157 @@
-import React, { useState } from "react";
-import type { Quest, Domain } from "../types";
-import { Plus, Filter } from "lucide-react";
+import React, { useDeferredValue, useMemo, useState } from "react";
+import type {
+  AttributeName,
+  AttributeValues,
+  Difficulty,
+  Quest,
+  QuestChanges,
+  Domain,
+  DomainDefinition,
+  PartyMember,
+  Priority,
+  Streak,
+  WeekStart,
+} from "../types";
+import { Plus, Sparkles } from "lucide-react";
+import { ATTRIBUTES, attributeLabels } from "../utils/attributes";
+import { DEFAULT_DIFFICULTY, DIFFICULTIES, computeQuestXP } from "../utils/xpRules";
+import { allTags, effectiveSort, filterQuests, isFiltered, sortQuests } from "../utils/questFilters";
+import { useQuestFilters } from "../hooks/useQuestFilters";
+import { QuestItem } from "./QuestItem";
+import { QuestFilterBar } from "./QuestFilterBar";
+import { DomainSelect } from "./DomainSelect";
+import { QuickAddInput } from "./QuickAddInput";
+
+// Quests rendered at once; more are revealed on demand so long lists stay fast
+const PAGE_SIZE = 50;
 
 interface QuestManagerProps {
   quests: Quest[];
-  onAddQuest: (title: string, domain: Domain, cadence: Quest["cadence"]) => void;
+  domains: DomainDefinition[];
+  party: PartyMember[];
+  weekStart: WeekStart;
+  streaks: Record<string, Streak>;
+  onAddQuest: (
+    title: string, 
+    domain: Domain, 
+    cadence: Quest["cadence"], 
+    details?: {
+      attributes?: AttributeValues;
+      difficulty?: Difficulty;
+      priority?: Priority;
+      estimatedMinutes?: number;
+      dueDate?: string;
+      dueTime?: string;
+      preferredTime?: string;
+      tags?: string[];
+      xp?: number;
+    }
+  ) => void;
   onToggleComplete: (questId: string) => void;
+  onToggleStep: (questId: string, stepId: string) => void;
+  onUpdateQuest: (questId: string, changes: QuestChanges) => void;
+  onDeleteQuest: (questId: string) => void;
+  onArchiveQuest: (questId: string) => void;
+  onRestoreQuest: (questId: string) => void;
 }
 
-export function QuestManager({ quests, onAddQuest, onToggleComplete }: QuestManagerProps) {
-  const [filter, setFilter] = useState<Domain | "all">("all");
+export function QuestManager({ 
+  quests, 
+  domains, 
+  party, 
+  weekStart, 
+  streaks, 
+  onAddQuest, 
+  onToggleComplete, 
+  onToggleStep, 
+  onUpdateQuest, 
+  onDeleteQuest, 
+  onArchiveQuest, 
+  onRestoreQuest 
+}: QuestManagerProps) {
+  const { filters, updateFilters } = useQuestFilters();
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
   const [newQuestTitle, setNewQuestTitle] = useState("");
-  const [newQuestDomain, setNewQuestDomain] = useState<Domain>("personal");
+  const [selectedDomain, setNewQuestDomain] = useState<Domain>(domains[0].id);
+  // Fall back to the first domain if the selected one was removed
+  const newQuestDomain = domains.some(domain => domain.id === selectedDomain) ? selectedDomain : domains[0].id;
   const [newQuestCadence, setNewQuestCadence] = useState<Quest["cadence"]>("daily");
+  const [newQuestAttributes, setNewQuestAttributes] = useState<AttributeName[]>([]);
+  const [newQuestDifficulty, setNewQuestDifficulty] = useState<Difficulty>(DEFAULT_DIFFICULTY);
+  const [newQuestMinutes, setNewQuestMinutes] = useState("");
+  const [newQuestDueDate, setNewQuestDueDate] = useState("");
+  const [newQuestDueTime, setNewQuestDueTime] = useState("");
 
-  const filteredQuests = quests.filter(quest => 
-    filter === "all" ? true : quest.domain === filter
-  );
+  const estimatedMinutes = Math.max(0, Math.round(Number(newQuestMinutes) || 0));
+  const previewXP = computeQuestXP({
+    domain: newQuestDomain,
+    cadence: newQuestCadence,
+    difficulty: newQuestDifficulty,
+    estimatedMinutes,
+  });
+
+  const archivedCount = quests.filter(quest => quest.archivedAt).length;
+  const tags = useMemo(() => allTags(quests), [quests]);
+
+  // Typing stays responsive while the list catches up with the filters
+  const deferredFilters = useDeferredValue(filters);
+  const filteredQuests = useMemo(() => {
+    const now = new Date();
+    const order = domains.map(domain => domain.id);
+    return sortQuests(filterQuests(quests, deferredFilters, now, weekStart), effectiveSort(deferredFilters), now, weekStart, order);
+  }, [quests, domains, deferredFilters, weekStart]);
+  const visibleQuests = filteredQuests.slice(0, visibleCount);
+
+  const changeFilters = (changes: Parameters<typeof updateFilters>[0]) => {
+    updateFilters(changes);
+    setVisibleCount(PAGE_SIZE);
+  };
+
+  const toggleTagFilter = (tag: string) => {
+    changeFilters({
+      tags: filters.tags.includes(tag) ? filters.tags.filter(item => item !== tag) : [...filters.tags, tag],
+    });
+  };
 
   const handleAddQuest = () => {
     if (newQuestTitle.trim()) {
-      onAddQuest(newQuestTitle, newQuestDomain, newQuestCadence);
+      const attributes = newQuestAttributes.length > 0
+        ? Object.fromEntries(newQuestAttributes.map(key => [key, 1]))
+        : undefined;
+      onAddQuest(newQuestTitle, newQuestDomain, newQuestCadence, {
+        attributes,
+        difficulty: newQuestDifficulty,
+        estimatedMinutes: estimatedMinutes || undefined,
+        ...(newQuestCadence === "once" && newQuestDueDate && {
+          dueDate: newQuestDueDate,
+          dueTime: newQuestDueTime || undefined,
+        }),
+      });
       setNewQuestTitle("");
+      setNewQuestAttributes([]);
+      setNewQuestMinutes("");
+      setNewQuestDueDate("");
+      setNewQuestDueTime("");
     }
   };
 
-  const getDomainColor = (domain: Domain) => {
-    const colors = {
-      personal: "bg-green-100 text-green-800",
-      ceo: "bg-blue-100 text-blue-800", 
-      family: "bg-purple-100 text-purple-800"
-    };
-    return colors[domain];
+  const toggleNewQuestAttribute = (key: AttributeName) => {
+    setNewQuestAttributes(prev => 
+      prev.includes(key) ? prev.filter(attribute => attribute !== key) : [...prev, key]
+    );
   };
 
+
   return (
     <section className="space-y-4">
       {/* Quest Creation Form */}
-      <div className="bg-gray-50 rounded-xl p-4">
+      <div className="bg-gray-50 rounded-xl p-4 space-y-3">
+        <QuickAddInput 
+          domains={domains} 
+          defaults={{ domain: newQuestDomain, cadence: newQuestCadence, difficulty: newQuestDifficulty }} 
+          onAdd={onAddQuest} 
+        />
+
         <div className="grid grid-cols-1 md:grid-cols-6 gap-3">
           <input 
             className="md:col-span-2 p-3 rounded-lg border border-gray-200 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-200 transition-all" 
@@ -47,15 +161,12 @@ export function QuestManager({ quests, onAddQuest, onToggleComplete }: QuestMana
             onKeyDown={(e) => e.key === "Enter" && handleAddQuest()}
           />
 
-          <select 
+          <DomainSelect 
+            domains={domains} 
             value={newQuestDomain} 
-            onChange={(e) => setNewQuestDomain(e.target.value as Domain)} 
-            className="p-3 rounded-lg border border-gray-200 focus:border-indigo-500 transition-all"
-          >
-            <option value="personal">Personal</option>
-            <option value="ceo">CEO</option>
-            <option value="family">Family</option>
-          </select>
+            onChange={setNewQuestDomain} 
+            className="p-3" 
+          />
 
           <select 
             value={newQuestCadence} 
@@ -75,59 +186,134 @@ export function QuestManager({ quests, onAddQuest, onToggleComplete }: QuestMana
             Add Quest
           </button>
         </div>
-      </div>
 
-      {/* Filter */}
-      <div className="flex items-center gap-3">
-        <Filter size={16} className="text-gray-500" />
-        <select 
-          value={filter} 
-          onChange={(e) => setFilter(e.target.value as Domain | "all")} 
-          className="p-2 rounded-lg border border-gray-200 focus:border-indigo-500 transition-all"
-        >
-          <option value="all">All domains</option>
-          <option value="personal">Personal</option>
-          <option value="ceo">CEO</option>
-          <option value="family">Family</option>
-        </select>
+        <div className="flex flex-wrap items-center gap-3 mt-3 text-sm">
+          <select 
+            value={newQuestDifficulty} 
+            onChange={(e) => setNewQuestDifficulty(e.target.value as Difficulty)} 
+            className="p-2 rounded-lg border border-gray-200 focus:border-indigo-500 transition-all"
+          >
+            {DIFFICULTIES.map(({ key, label }) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+
+          <label className="flex items-center gap-2 text-gray-600">
+            <input 
+              type="number" 
+              min={0}
+              placeholder="0"
+              value={newQuestMinutes} 
+              onChange={(e) => setNewQuestMinutes(e.target.value)}
+              className="w-20 p-2 rounded-lg border border-gray-200 focus:border-indigo-500 transition-all"
+            />
+            min
+          </label>
+
+          {newQuestCadence === "once" && (
+            <label className="flex items-center gap-2 text-gray-600">
+              Due
+              <input 
+                type="date" 
+                value={newQuestDueDate} 
+                onChange={(e) => setNewQuestDueDate(e.target.value)}
+                className="p-2 rounded-lg border border-gray-200 focus:border-indigo-500 transition-all"
+              />
+              <input 
+                type="time" 
+                value={newQuestDueTime} 
+                disabled={!newQuestDueDate}
+                onChange={(e) => setNewQuestDueTime(e.target.value)}
+                className="p-2 rounded-lg border border-gray-200 focus:border-indigo-500 transition-all disabled:opacity-50"
+              />
+            </label>
+          )}
+
+          <span className="flex items-center gap-1 px-3 py-1 rounded-full bg-indigo-100 text-indigo-700 font-medium">
+            <Sparkles size={14} />
+            {previewXP} XP
+          </span>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 mt-3 text-sm">
+          <span className="text-gray-500">Trains:</span>
+          {ATTRIBUTES.map(({ key, label }) => (
+            <button 
+              key={key}
+              type="button"
+              onClick={() => toggleNewQuestAttribute(key)}
+              className={`px-3 py-1 rounded-full border text-xs transition-colors ${
+                newQuestAttributes.includes(key)
+                  ? "bg-indigo-600 border-indigo-600 text-white"
+                  : "border-gray-300 text-gray-600 hover:bg-white"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+          {newQuestAttributes.length === 0 && (
+            <span className="text-xs text-gray-400">
+              Default for {domains.find(domain => domain.id === newQuestDomain)?.name}:{" "}
+              {attributeLabels({ domain: newQuestDomain }, domains).join(", ")}
+            </span>
+          )}
+        </div>
       </div>
 
+      {/* Search, filters and sorting */}
+      <QuestFilterBar 
+        filters={filters} 
+        domains={domains} 
+        onChange={changeFilters} 
+        tags={tags} 
+        archivedCount={archivedCount} 
+      />
+
       {/* Quest List */}
       <div className="space-y-3">
         {filteredQuests.length === 0 && (
           <div className="text-center py-8 text-gray-500">
-            <p>No quests found - add one to get started!</p>
+            <p>
+              {isFiltered(filters)
+                ? "No quests match these filters."
+                : filters.archived
+                  ? "No archived quests."
+                  : filters.view === "today"
+                    ? "Nothing due today."
+                    : filters.view === "upcoming"
+                      ? "Nothing coming up."
+                      : "No quests found - add one to get started!"}
+            </p>
           </div>
         )}
         
-        {filteredQuests.map((quest) => (
-          <div key={quest.id} className="flex items-center justify-between bg-white p-4 rounded-lg shadow-sm border border-gray-100 hover:shadow-md transition-shadow">
-            <div className="flex items-center gap-3">
-              <input 
-                type="checkbox" 
-                checked={quest.completed} 
-                onChange={() => onToggleComplete(quest.id)}
-                className="w-5 h-5 text-indigo-600 rounded focus:ring-indigo-500"
-              />
-              <div>
-                <div className={`font-medium ${quest.completed ? 'line-through text-gray-500' : 'text-gray-800'}`}>
-                  {quest.title}
-                </div>
-                <div className="flex items-center gap-2 mt-1">
-                  <span className={`px-2 py-1 rounded-full text-xs font-medium ${getDomainColor(quest.domain)}`}>
-                    {quest.domain.toUpperCase()}
-                  </span>
-                  <span className="text-xs text-gray-500">{quest.cadence}</span>
-                  <span className="text-xs text-gray-500">•</span>
-                  <span className="text-xs font-medium text-indigo-600">{quest.xp} XP</span>
-                </div>
-              </div>
-            </div>
-            <div className="text-sm text-gray-400">
-              {new Date(quest.createdAt).toLocaleDateString()}
-            </div>
-          </div>
+        {visibleQuests.map((quest) => (
+          <QuestItem 
+            key={quest.id}
+            quest={quest}
+            quests={quests}
+            domains={domains}
+            party={party}
+            weekStart={weekStart}
+            streak={streaks[quest.id]}
+            onToggleComplete={onToggleComplete}
+            onToggleStep={onToggleStep}
+            onUpdate={onUpdateQuest}
+            onDelete={onDeleteQuest}
+            onArchive={onArchiveQuest}
+            onRestore={onRestoreQuest}
+            onTagClick={toggleTagFilter}
+          />
         ))}
+
+        {filteredQuests.length > visibleCount && (
+          <button 
+            onClick={() => setVisibleCount(prev => prev + PAGE_SIZE)} 
+            className="w-full py-2 rounded-lg border border-gray-200 text-sm text-gray-600 hover:bg-gray-50 transition-colors"
+          >
+            Show more ({filteredQuests.length - visibleCount} of {filteredQuests.length} not shown)
+          </button>
+        )}
       </div>
     </section>
   );
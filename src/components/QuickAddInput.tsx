@@ -0,0 +1,127 @@
+import { useMemo, useState } from "react";
+import type { ReactNode } from "react";
+import type { Difficulty, Domain, DomainDefinition, Priority, Quest } from "../types";
+import { CalendarDays, Clock, Flag, Repeat, Sparkles, Wand2 } from "lucide-react";
+import { computeQuestXP } from "../utils/xpRules";
+import { parseQuickAdd, type QuickAddField } from "../utils/quickAdd";
+import { DomainBadge } from "./DomainBadge";
+
+interface QuickAddInputProps {
+  domains: DomainDefinition[];
+  // The main form's current choices, used for anything the text doesn't say
+  defaults: { domain: Domain; cadence: Quest["cadence"]; difficulty: Difficulty };
+  onAdd: (
+    title: string,
+    domain: Domain,
+    cadence: Quest["cadence"],
+    details: {
+      difficulty?: Difficulty;
+      priority?: Priority;
+      dueDate?: string;
+      dueTime?: string;
+      preferredTime?: string;
+      tags?: string[];
+      xp?: number;
+    }
+  ) => void;
+}
+
+const FIELD_LABELS: Record<QuickAddField, string> = {
+  cadence: "cadence",
+  domain: "domain",
+  xp: "XP",
+  due: "due date",
+  time: "time",
+  priority: "priority",
+};
+
+function Field({ parsed, icon, children }: { parsed: boolean; icon?: ReactNode; children: ReactNode }) {
+  return (
+    <span
+      className={`flex items-center gap-1 px-2 py-0.5 rounded-full text-xs ${
+        parsed ? "bg-indigo-100 text-indigo-700 font-medium" : "bg-white border border-gray-200 text-gray-400"
+      }`}
+      title={parsed ? "From your text" : "Default"}
+    >
+      {icon}
+      {children}
+    </span>
+  );
+}
+
+export function QuickAddInput({ domains, defaults, onAdd }: QuickAddInputProps) {
+  const [text, setText] = useState("");
+  const parsed = useMemo(() => parseQuickAdd(text, domains), [text, domains]);
+
+  const domain = parsed.domain ?? defaults.domain;
+  const cadence = parsed.cadence ?? defaults.cadence;
+  const xp = parsed.xp ?? computeQuestXP({ domain, cadence, difficulty: defaults.difficulty });
+  // A time goes on the due date of one-off quests and is the preferred time of recurring ones
+  const dueTime = cadence === "once" && parsed.dueDate ? parsed.time : undefined;
+  const preferredTime = cadence !== "once" ? parsed.time : undefined;
+
+  const add = () => {
+    if (!parsed.title) return;
+    onAdd(parsed.title, domain, cadence, {
+      difficulty: defaults.difficulty,
+      priority: parsed.priority,
+      xp: parsed.xp,
+      ...(cadence === "once" && parsed.dueDate && { dueDate: parsed.dueDate, dueTime }),
+      preferredTime,
+      tags: parsed.tags,
+    });
+    setText("");
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2">
+        <Wand2 size={16} className="text-indigo-500 shrink-0" />
+        <input
+          className="flex-1 p-3 rounded-lg border border-gray-200 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-200 transition-all"
+          placeholder='Quick add, e.g. "call mom every sunday 20xp #family" or "prep board deck by friday !high"'
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") add();
+            if (e.key === "Escape") setText("");
+          }}
+        />
+      </div>
+
+      {text.trim() && (
+        <div className="flex flex-wrap items-center gap-2 pl-6 text-sm">
+          <span className={parsed.title ? "font-medium text-gray-800" : "text-red-600"}>
+            {parsed.title || "Add a title"}
+          </span>
+          <span className={parsed.domain ? "" : "opacity-50"} title={parsed.domain ? "From your text" : "Default"}>
+            <DomainBadge domains={domains} domain={domain} />
+          </span>
+          <Field parsed={Boolean(parsed.cadence)} icon={<Repeat size={12} />}>{cadence}</Field>
+          <Field parsed={Boolean(parsed.xp)} icon={<Sparkles size={12} />}>{xp} XP</Field>
+          {cadence === "once" && parsed.dueDate && (
+            <Field parsed icon={<CalendarDays size={12} />}>
+              {new Date(`${parsed.dueDate}T00:00`).toLocaleDateString(undefined, {
+                weekday: "short",
+                month: "short",
+                day: "numeric",
+              })}
+            </Field>
+          )}
+          {(dueTime || preferredTime) && (
+            <Field parsed icon={<Clock size={12} />}>{dueTime ?? preferredTime}</Field>
+          )}
+          {parsed.priority && <Field parsed icon={<Flag size={12} />}>{parsed.priority}</Field>}
+          {parsed.tags.map(tag => (
+            <span key={tag} className="text-xs text-indigo-500">#{tag}</span>
+          ))}
+          {parsed.ambiguous.length > 0 && (
+            <span className="text-xs text-amber-700">
+              Conflicting {parsed.ambiguous.map(field => FIELD_LABELS[field]).join(", ")}; using the default
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import type { Quest, Retro } from "../types";
+import { CheckCircle2, Circle, X } from "lucide-react";
+import { RETRO_PHASES } from "../config/retro";
+
+interface RetroHistoryProps {
+  retros: Retro[];
+  quests: Quest[];
+  onClose: () => void;
+}
+
+export function RetroHistory({ retros, quests, onClose }: RetroHistoryProps) {
+  const questsById = new Map(quests.map(quest => [quest.id, quest]));
+  const newestFirst = [...retros].reverse();
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/40 p-4">
+      <div className="w-full max-w-lg max-h-[80vh] overflow-y-auto bg-white rounded-2xl shadow-xl p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-gray-800">Past retros</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-700" title="Close">
+            <X size={18} />
+          </button>
+        </div>
+
+        {newestFirst.length === 0 && (
+          <p className="text-sm text-gray-500">No retros yet.</p>
+        )}
+
+        {newestFirst.map(retro => (
+          <div key={retro.id} className="space-y-2 border-t border-gray-100 pt-3 first:border-t-0 first:pt-0">
+            <p className="text-sm font-medium text-gray-800">
+              {new Date(retro.finishedAt).toLocaleDateString(undefined, { dateStyle: "medium" })}
+              {retro.xp > 0 && <span className="ml-2 text-xs font-normal text-indigo-600">+{retro.xp} XP</span>}
+            </p>
+            {RETRO_PHASES.filter(phase => retro.notes[phase.key]?.trim()).map(phase => (
+              <div key={phase.key} className="text-sm">
+                <p className="text-xs uppercase text-gray-500">{phase.title}</p>
+                <p className="whitespace-pre-line text-gray-700">{retro.notes[phase.key]}</p>
+              </div>
+            ))}
+            {retro.actions.length > 0 && (
+              <ul className="space-y-1 text-sm">
+                {retro.actions.map((action, index) => {
+                  const quest = action.questId ? questsById.get(action.questId) : undefined;
+                  return (
+                    <li key={index} className="flex items-center gap-2 text-gray-700">
+                      {quest?.completed ? (
+                        <CheckCircle2 size={14} className="text-green-600" />
+                      ) : (
+                        <Circle size={14} className="text-gray-300" />
+                      )}
+                      {action.text}
+                      {action.questId && !quest && (
+                        <span className="text-xs text-gray-400">(quest deleted)</span>
+                      )}
+                      {quest?.archivedAt && (
+                        <span className="text-xs text-gray-400">(archived)</span>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
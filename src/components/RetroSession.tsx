@@ -0,0 +1,209 @@
+import { useEffect, useState } from "react";
+import type { Domain, DomainDefinition, Quest, Retro, RetroPhase } from "../types";
+import { Check, ChevronRight, Pause, Play, Plus, Timer, X } from "lucide-react";
+import { RETRO_PHASES, RETRO_XP } from "../config/retro";
+import { dateKey } from "../utils/cadence";
+import { uid } from "../utils/game";
+import { hasRetroContent } from "../utils/retro";
+
+interface RetroSessionProps {
+  // Domain the action items' quests go to
+  domain?: DomainDefinition;
+  onAddQuest: (
+    title: string, 
+    domain: Domain, 
+    cadence: Quest["cadence"], 
+    details: { description?: string; retroId?: string }
+  ) => string | undefined;
+  onFinish: (retro: Pick<Retro, "id" | "startedAt" | "notes" | "actions">) => void;
+  // Removes the quests made from the action items of a retro that wasn't finished
+  onCancel: (retroId: string) => void;
+  // False once this week's retro XP has been paid
+  rewardAvailable: boolean;
+  onClose: () => void;
+}
+
+const emptyNotes: Record<RetroPhase, string> = { went_well: "", went_badly: "", actions: "" };
+
+function formatClock(seconds: number) {
+  const abs = Math.abs(seconds);
+  return `${seconds < 0 ? "+" : ""}${Math.floor(abs / 60)}:${String(abs % 60).padStart(2, "0")}`;
+}
+
+export function RetroSession({ domain, onAddQuest, onFinish, onCancel, rewardAvailable, onClose }: RetroSessionProps) {
+  // Generated up front so the quests made during the retro can point back to it
+  const [id] = useState(uid);
+  const [startedAt] = useState(() => new Date().toISOString());
+  const [phaseIndex, setPhaseIndex] = useState(0);
+  const [remaining, setRemaining] = useState(RETRO_PHASES[0].minutes * 60);
+  const [paused, setPaused] = useState(false);
+  const [notes, setNotes] = useState(emptyNotes);
+  const [actions, setActions] = useState<Retro["actions"]>([]);
+  const [newAction, setNewAction] = useState("");
+
+  const phase = RETRO_PHASES[phaseIndex];
+  const lastPhase = phaseIndex === RETRO_PHASES.length - 1;
+  const questsMade = actions.filter(action => action.questId).length;
+  const earnsXP = rewardAvailable && hasRetroContent({ notes, actions });
+
+  // Counts past zero so overrunning a phase shows as overtime
+  useEffect(() => {
+    if (paused) return;
+    const timer = window.setInterval(() => setRemaining(prev => prev - 1), 1000);
+    return () => window.clearInterval(timer);
+  }, [paused]);
+
+  const nextPhase = () => {
+    setPhaseIndex(phaseIndex + 1);
+    setRemaining(RETRO_PHASES[phaseIndex + 1].minutes * 60);
+  };
+
+  const addAction = () => {
+    if (!newAction.trim()) return;
+    setActions(prev => [...prev, { text: newAction.trim() }]);
+    setNewAction("");
+  };
+
+  const makeQuest = (index: number) => {
+    if (!domain) return;
+    const action = actions[index];
+    const questId = onAddQuest(action.text, domain.id, "once", {
+      description: `Action from the retro on ${dateKey(new Date(startedAt))}`,
+      retroId: id,
+    });
+    if (questId) {
+      setActions(prev => prev.map((item, i) => (i === index ? { ...item, questId } : item)));
+    }
+  };
+
+  const finish = () => {
+    onFinish({ id, startedAt, notes, actions });
+    onClose();
+  };
+
+  const cancel = () => {
+    onCancel(id);
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/40 p-4">
+      <div className="w-full max-w-lg bg-white rounded-2xl shadow-xl p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-gray-800">15-minute retro</h3>
+          <button 
+            onClick={cancel} 
+            className="text-gray-400 hover:text-gray-700" 
+            title={questsMade > 0 ? "Cancel retro and remove the quests made from it" : "Cancel retro"}
+          >
+            <X size={18} />
+          </button>
+        </div>
+
+        {/* Phases */}
+        <div className="flex gap-2">
+          {RETRO_PHASES.map((item, index) => (
+            <div 
+              key={item.key}
+              className={`flex-1 h-1.5 rounded-full ${index <= phaseIndex ? "bg-blue-600" : "bg-gray-200"}`}
+            />
+          ))}
+        </div>
+
+        <div className="flex items-center justify-between">
+          <div>
+            <p className="font-medium text-gray-800">{phase.title}</p>
+            <p className="text-xs text-gray-500">{phase.prompt}</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <span className={`flex items-center gap-1 font-mono text-sm ${remaining < 0 ? "text-red-600" : "text-gray-700"}`}>
+              <Timer size={14} />
+              {formatClock(remaining)}
+            </span>
+            <button 
+              onClick={() => setPaused(prev => !prev)} 
+              className="p-1 rounded-lg text-gray-500 hover:bg-gray-100"
+              title={paused ? "Resume" : "Pause"}
+            >
+              {paused ? <Play size={14} /> : <Pause size={14} />}
+            </button>
+          </div>
+        </div>
+
+        <textarea 
+          key={phase.key}
+          className="w-full p-2 rounded-lg border border-gray-200 focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all text-sm" 
+          placeholder="Notes"
+          rows={4}
+          value={notes[phase.key]} 
+          onChange={(e) => setNotes(prev => ({ ...prev, [phase.key]: e.target.value }))}
+          autoFocus
+        />
+
+        {phase.key === "actions" && (
+          <div className="space-y-2">
+            {actions.map((action, index) => (
+              <div key={index} className="flex items-center justify-between gap-2 text-sm">
+                <span className="text-gray-700">{action.text}</span>
+                {action.questId ? (
+                  <span className="flex items-center gap-1 text-xs text-green-600">
+                    <Check size={12} />
+                    Quest added
+                  </span>
+                ) : domain && (
+                  <button 
+                    onClick={() => makeQuest(index)} 
+                    className="shrink-0 text-xs text-blue-600 hover:text-blue-800 underline"
+                  >
+                    Make {domain.name} quest
+                  </button>
+                )}
+              </div>
+            ))}
+            <div className="flex gap-2">
+              <input 
+                className="flex-1 p-2 rounded-lg border border-gray-200 focus:border-blue-500 transition-all text-sm" 
+                placeholder="Action item"
+                value={newAction} 
+                onChange={(e) => setNewAction(e.target.value)}
+                onKeyDown={(e) => e.key === "Enter" && addAction()}
+              />
+              <button 
+                onClick={addAction} 
+                className="px-3 rounded-lg border border-gray-300 text-gray-600 hover:bg-gray-50"
+                title="Add action item"
+              >
+                <Plus size={14} />
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="flex items-center justify-end gap-3">
+          {questsMade > 0 && (
+            <p className="mr-auto text-xs text-amber-700">
+              Cancelling removes the {questsMade} {questsMade === 1 ? "quest" : "quests"} made here.
+            </p>
+          )}
+          {lastPhase ? (
+            <button 
+              onClick={finish} 
+              className="flex items-center gap-2 px-4 py-2 rounded-lg bg-blue-600 text-white text-sm hover:bg-blue-700 transition-colors"
+            >
+              <Check size={14} />
+              Finish retro{earnsXP && ` (+${RETRO_XP} XP)`}
+            </button>
+          ) : (
+            <button 
+              onClick={nextPhase} 
+              className="flex items-center gap-1 px-4 py-2 rounded-lg border border-gray-300 text-gray-700 text-sm hover:bg-gray-50 transition-colors"
+            >
+              Next: {RETRO_PHASES[phaseIndex + 1].title}
+              <ChevronRight size={14} />
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+import { useRef, useState } from "react";
+import type { GameSave } from "../types";
+import { Download, FileSpreadsheet, Upload } from "lucide-react";
+import {
+  downloadFile,
+  exportFilename,
+  parseSaveFile,
+  saveToCSV,
+  saveToJSON,
+  type ImportMode,
+} from "../utils/saveFiles";
+
+interface SaveDataControlsProps {
+  save: GameSave;
+  onImport: (save: GameSave, mode: ImportMode) => void;
+}
+
+export function SaveDataControls({ save, onImport }: SaveDataControlsProps) {
+  const fileInput = useRef<HTMLInputElement>(null);
+  const [pending, setPending] = useState<{ fileName: string; save: GameSave } | null>(null);
+  const [importError, setImportError] = useState<string | null>(null);
+
+  const handleFile = async (file: File | undefined) => {
+    if (!file) return;
+    setImportError(null);
+
+    try {
+      setPending({ fileName: file.name, save: parseSaveFile(await file.text()) });
+    } catch (err) {
+      setPending(null);
+      setImportError(err instanceof Error ? err.message : String(err));
+    } finally {
+      if (fileInput.current) fileInput.current.value = "";
+    }
+  };
+
+  const confirmImport = (mode: ImportMode) => {
+    if (!pending) return;
+    onImport(pending.save, mode);
+    setPending(null);
+  };
+
+  const buttonClass = "flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-800 transition-colors";
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-4">
+        <button 
+          className={buttonClass}
+          onClick={() => downloadFile(exportFilename(save, "json"), saveToJSON(save), "application/json")}
+        >
+          <Download size={14} />
+          Export save
+        </button>
+        <button 
+          className={buttonClass}
+          onClick={() => downloadFile(exportFilename(save, "csv"), saveToCSV(save), "text/csv")}
+        >
+          <FileSpreadsheet size={14} />
+          Export CSV
+        </button>
+        <button className={buttonClass} onClick={() => fileInput.current?.click()}>
+          <Upload size={14} />
+          Import save
+        </button>
+        <input 
+          ref={fileInput}
+          type="file" 
+          accept="application/json,.json" 
+          className="hidden"
+          onChange={(e) => handleFile(e.target.files?.[0])}
+        />
+      </div>
+
+      {importError && (
+        <p className="text-xs text-red-600">Import failed: {importError}</p>
+      )}
+
+      {pending && (
+        <div className="p-3 rounded-lg bg-indigo-50 border border-indigo-100 space-y-2 text-sm">
+          <p className="text-gray-700">
+            <strong>{pending.fileName}</strong>: {pending.save.quests.length} quests,{" "}
+            {pending.save.ledger.length} XP entries
+            {pending.save.name ? ` from ${pending.save.name}` : ""}.
+          </p>
+          <div className="flex flex-wrap gap-2">
+            <button 
+              onClick={() => confirmImport("merge")} 
+              className="px-3 py-1 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 transition-colors"
+              title="Add the file's quests, completions and XP to your current game"
+            >
+              Merge
+            </button>
+            <button 
+              onClick={() => confirmImport("replace")} 
+              className="px-3 py-1 rounded-lg bg-red-600 text-white hover:bg-red-700 transition-colors"
+              title="Throw away the current game and load the file instead"
+            >
+              Replace
+            </button>
+            <button 
+              onClick={() => setPending(null)} 
+              className="px-3 py-1 rounded-lg border border-gray-300 text-gray-700 hover:bg-white transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
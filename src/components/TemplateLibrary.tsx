@@ -0,0 +1,367 @@
+import { useRef, useState } from "react";
+import type { Domain, DomainDefinition, Quest, TemplatePack } from "../types";
+import { ArrowLeft, Download, PackagePlus, Save, Trash2, Upload, X } from "lucide-react";
+import { TEMPLATE_PACKS } from "../config/templates";
+import { attributeLabels } from "../utils/attributes";
+import { downloadFile } from "../utils/saveFiles";
+import {
+  TemplatePackError,
+  installedFromPack,
+  missingDomains,
+  packFromQuests,
+  parseTemplatePack,
+  templatesToInstall,
+  uniquePackId,
+} from "../utils/templates";
+import { DomainBadge } from "./DomainBadge";
+import { DomainSelect } from "./DomainSelect";
+
+interface TemplateLibraryProps {
+  ownPacks: TemplatePack[];
+  quests: Quest[];
+  domains: DomainDefinition[];
+  onInstall: (pack: TemplatePack, domainMap: Record<Domain, Domain>) => number;
+  onRemove: (packId: string) => void;
+  onSavePack: (pack: TemplatePack) => void;
+  onDeletePack: (packId: string) => void;
+  onClose: () => void;
+}
+
+const errorMessage = (err: unknown) => (err instanceof Error ? err.message : String(err));
+
+const CADENCE_LABELS: Record<Quest["cadence"], string> = { daily: "Daily", weekly: "Weekly", once: "Once" };
+
+const buttonClass = "flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-800 transition-colors";
+
+function PackPreview({
+  pack,
+  own,
+  quests,
+  domains,
+  onInstall,
+  onRemove,
+  onDelete,
+}: {
+  pack: TemplatePack;
+  own: boolean;
+  quests: Quest[];
+  domains: DomainDefinition[];
+  onInstall: (domainMap: Record<Domain, Domain>) => number;
+  onRemove: () => void;
+  onDelete: () => void;
+}) {
+  const missing = missingDomains(pack, domains);
+  const [domainMap, setDomainMap] = useState<Record<Domain, Domain>>(() =>
+    Object.fromEntries(missing.map(id => [id, domains[0].id]))
+  );
+  const [message, setMessage] = useState<string | null>(null);
+  const toInstall = new Set(templatesToInstall(pack, quests));
+  const installedCount = installedFromPack(quests, pack.id).length;
+  const domainOf = (domain: Domain) => domainMap[domain] ?? domain;
+
+  const install = () => {
+    const added = onInstall(domainMap);
+    setMessage(`Added ${added} ${added === 1 ? "quest" : "quests"} to your list.`);
+  };
+
+  const share = () => {
+    downloadFile(`${pack.id}.json`, JSON.stringify({ ...pack, createdAt: undefined }, null, 2), "application/json");
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h4 className="font-semibold text-gray-800">{pack.title}</h4>
+        {pack.description && <p className="text-sm text-gray-600">{pack.description}</p>}
+      </div>
+
+      <ul className="space-y-2">
+        {pack.templates.map((template, index) => (
+          <li key={index} className="p-3 rounded-lg border border-gray-100 space-y-1 text-sm">
+            <div className="flex items-start justify-between gap-2">
+              <span className={toInstall.has(template) ? "text-gray-800" : "text-gray-400"}>
+                {template.title}
+                {!toInstall.has(template) && <span className="ml-2 text-xs">(in your list)</span>}
+              </span>
+              <span className="shrink-0 text-xs font-medium text-indigo-600">{template.xp} XP</span>
+            </div>
+            {template.description && <p className="text-xs text-gray-500">{template.description}</p>}
+            <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500">
+              <DomainBadge domains={domains} domain={domainOf(template.domain)} />
+              <span>{CADENCE_LABELS[template.cadence]}</span>
+              {template.estimatedMinutes && <span>{template.estimatedMinutes} min</span>}
+              <span>
+                Trains {attributeLabels({ ...template, domain: domainOf(template.domain) }, domains).join(", ")}
+              </span>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {/* Templates from domains this user doesn't have go somewhere of their choosing */}
+      {missing.length > 0 && (
+        <div className="p-3 rounded-lg bg-amber-50 border border-amber-200 space-y-2 text-sm text-amber-800">
+          {missing.map(id => (
+            <label key={id} className="flex flex-wrap items-center gap-2">
+              Quests for "{id}" go to
+              <DomainSelect
+                domains={domains}
+                value={domainMap[id]}
+                onChange={(to) => setDomainMap(prev => ({ ...prev, [id]: to }))}
+                className="p-1"
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
+      {message && <p className="text-xs text-green-700">{message}</p>}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={install}
+          disabled={toInstall.size === 0}
+          className="flex items-center gap-1 px-3 py-1 rounded-lg bg-indigo-600 text-white text-sm hover:bg-indigo-700 transition-colors disabled:opacity-50"
+        >
+          <PackagePlus size={14} />
+          {toInstall.size === 0 ? "Installed" : `Install ${toInstall.size} ${toInstall.size === 1 ? "quest" : "quests"}`}
+        </button>
+        {installedCount > 0 && (
+          <button
+            onClick={() => {
+              onRemove();
+              setMessage(null);
+            }}
+            className="px-3 py-1 rounded-lg border border-gray-300 text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+            title="Quests you have completed are archived so their history is kept"
+          >
+            Remove {installedCount} installed
+          </button>
+        )}
+        <button className={`${buttonClass} ml-auto`} onClick={share}>
+          <Download size={14} />
+          Share
+        </button>
+        {own && (
+          <button
+            onClick={onDelete}
+            className="text-gray-400 hover:text-red-600 transition-colors"
+            title="Delete this pack (installed quests stay)"
+          >
+            <Trash2 size={14} />
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function SavePackForm({
+  quests,
+  takenIds,
+  onSave,
+  onCancel,
+}: {
+  quests: Quest[];
+  takenIds: string[];
+  onSave: (pack: TemplatePack) => void;
+  onCancel: () => void;
+}) {
+  const [title, setTitle] = useState("");
+  const [description, setDescription] = useState("");
+  const [selected, setSelected] = useState<string[]>([]);
+  const [error, setError] = useState<string | null>(null);
+  const active = quests.filter(quest => !quest.archivedAt);
+
+  const toggle = (questId: string) => {
+    setSelected(prev => (prev.includes(questId) ? prev.filter(id => id !== questId) : [...prev, questId]));
+  };
+
+  const save = () => {
+    try {
+      onSave(packFromQuests(title, description, active.filter(quest => selected.includes(quest.id)), takenIds));
+    } catch (err) {
+      setError(errorMessage(err));
+    }
+  };
+
+  return (
+    <div className="space-y-3 text-sm">
+      <input
+        className="w-full p-2 rounded-lg border border-gray-200 focus:border-indigo-500 transition-all"
+        placeholder="Pack title, e.g. Our Sunday routine"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        autoFocus
+      />
+      <textarea
+        className="w-full p-2 rounded-lg border border-gray-200 focus:border-indigo-500 transition-all"
+        placeholder="What is this pack for?"
+        rows={2}
+        value={description}
+        onChange={(e) => setDescription(e.target.value)}
+      />
+      <ul className="max-h-60 overflow-y-auto space-y-1">
+        {active.map(quest => (
+          <li key={quest.id}>
+            <label className="flex items-center gap-2 text-gray-700">
+              <input type="checkbox" checked={selected.includes(quest.id)} onChange={() => toggle(quest.id)} />
+              {quest.title}
+            </label>
+          </li>
+        ))}
+      </ul>
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      <div className="flex gap-2">
+        <button
+          onClick={save}
+          className="flex items-center gap-1 px-3 py-1 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 transition-colors"
+        >
+          <Save size={14} />
+          Save {selected.length} {selected.length === 1 ? "quest" : "quests"} as a pack
+        </button>
+        <button
+          onClick={onCancel}
+          className="px-3 py-1 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export function TemplateLibrary({
+  ownPacks,
+  quests,
+  domains,
+  onInstall,
+  onRemove,
+  onSavePack,
+  onDeletePack,
+  onClose,
+}: TemplateLibraryProps) {
+  const fileInput = useRef<HTMLInputElement>(null);
+  const [selected, setSelected] = useState<string | "new" | null>(null);
+  const [importError, setImportError] = useState<string | null>(null);
+  const packs = [...TEMPLATE_PACKS, ...ownPacks];
+  const takenIds = packs.map(pack => pack.id);
+  const pack = packs.find(item => item.id === selected);
+
+  const storePack = (saved: TemplatePack) => {
+    onSavePack(saved);
+    setSelected(saved.id);
+  };
+
+  const handleFile = async (file: File | undefined) => {
+    if (!file) return;
+    setImportError(null);
+
+    try {
+      const imported = parseTemplatePack(JSON.parse(await file.text()));
+      if (TEMPLATE_PACKS.some(builtIn => builtIn.id === imported.id)) {
+        throw new TemplatePackError(`"${imported.title}" is already in the library`);
+      }
+      // A pack with the id of one of the user's own is kept alongside it, not over it
+      storePack({ ...imported, id: uniquePackId(imported.id, takenIds), createdAt: new Date().toISOString() });
+    } catch (err) {
+      setImportError(err instanceof SyntaxError ? "This file is not valid JSON" : errorMessage(err));
+    } finally {
+      if (fileInput.current) fileInput.current.value = "";
+    }
+  };
+
+  const packCard = (item: TemplatePack) => {
+    const installed = installedFromPack(quests, item.id).length;
+    return (
+      <li key={item.id}>
+        <button
+          onClick={() => setSelected(item.id)}
+          className="w-full text-left p-3 rounded-lg border border-gray-100 hover:border-indigo-200 hover:bg-indigo-50 transition-colors"
+        >
+          <div className="flex items-center justify-between gap-2">
+            <span className="font-medium text-gray-800">{item.title}</span>
+            <span className="shrink-0 text-xs text-gray-400">
+              {installed > 0 ? `${installed}/${item.templates.length} installed` : `${item.templates.length} quests`}
+            </span>
+          </div>
+          {item.description && <p className="text-xs text-gray-500 line-clamp-2">{item.description}</p>}
+        </button>
+      </li>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/40 p-4">
+      <div className="w-full max-w-lg max-h-[80vh] overflow-y-auto bg-white rounded-2xl shadow-xl p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            {selected && (
+              <button onClick={() => setSelected(null)} className="text-gray-400 hover:text-gray-700" title="Back">
+                <ArrowLeft size={18} />
+              </button>
+            )}
+            <h3 className="text-lg font-semibold text-gray-800">
+              {selected === "new" ? "Save quests as a pack" : "Quest templates"}
+            </h3>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-700" title="Close">
+            <X size={18} />
+          </button>
+        </div>
+
+        {selected === "new" && (
+          <SavePackForm quests={quests} takenIds={takenIds} onSave={storePack} onCancel={() => setSelected(null)} />
+        )}
+
+        {pack && (
+          <PackPreview
+            key={pack.id}
+            pack={pack}
+            own={ownPacks.includes(pack)}
+            quests={quests}
+            domains={domains}
+            onInstall={(domainMap) => onInstall(pack, domainMap)}
+            onRemove={() => onRemove(pack.id)}
+            onDelete={() => {
+              onDeletePack(pack.id);
+              setSelected(null);
+            }}
+          />
+        )}
+
+        {!selected && (
+          <>
+            <ul className="space-y-2">{TEMPLATE_PACKS.map(packCard)}</ul>
+
+            <div className="space-y-2 border-t border-gray-100 pt-3">
+              <p className="text-xs uppercase text-gray-500">Your packs</p>
+              {ownPacks.length === 0 && (
+                <p className="text-sm text-gray-500">Save a set of your quests to reuse or share it.</p>
+              )}
+              <ul className="space-y-2">{ownPacks.map(packCard)}</ul>
+              <div className="flex flex-wrap gap-4">
+                <button className={buttonClass} onClick={() => setSelected("new")}>
+                  <Save size={14} />
+                  Save quests as a pack
+                </button>
+                <button className={buttonClass} onClick={() => fileInput.current?.click()}>
+                  <Upload size={14} />
+                  Import pack
+                </button>
+                <input
+                  ref={fileInput}
+                  type="file"
+                  accept="application/json,.json"
+                  className="hidden"
+                  onChange={(e) => handleFile(e.target.files?.[0])}
+                />
+              </div>
+              {importError && <p className="text-xs text-red-600">Pack import failed: {importError}</p>}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
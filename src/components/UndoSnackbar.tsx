@@ -0,0 +1,40 @@
+import { useEffect, useRef } from "react";
+import { Undo2, X } from "lucide-react";
+
+interface UndoSnackbarProps {
+  toast: { id: string; label: string } | null;
+  onUndo: () => void;
+  onDismiss: () => void;
+}
+
+const SNACKBAR_MS = 8000;
+
+export function UndoSnackbar({ toast, onUndo, onDismiss }: UndoSnackbarProps) {
+  const dismiss = useRef(onDismiss);
+  dismiss.current = onDismiss;
+
+  // Restart the timer for every new action, not on every render
+  useEffect(() => {
+    if (!toast) return;
+    const timer = window.setTimeout(() => dismiss.current(), SNACKBAR_MS);
+    return () => window.clearTimeout(timer);
+  }, [toast]);
+
+  if (!toast) return null;
+
+  return (
+    <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 rounded-lg bg-gray-900 text-white text-sm shadow-lg px-4 py-3">
+      <span>{toast.label}</span>
+      <button 
+        onClick={onUndo} 
+        className="flex items-center gap-1 font-medium text-indigo-300 hover:text-indigo-200"
+      >
+        <Undo2 size={14} />
+        Undo
+      </button>
+      <button onClick={onDismiss} className="text-gray-400 hover:text-gray-200" title="Dismiss">
+        <X size={14} />
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+import type { Achievement } from "../types";
+
+// Badge catalogue. Add entries here; utils/achievements.ts knows how to
+// evaluate every rule type declared in types/index.ts.
+export const ACHIEVEMENTS: Achievement[] = [
+  {
+    id: "first-steps",
+    title: "First Steps",
+    description: "Complete your first quest",
+    tier: "bronze",
+    rule: { type: "completions", count: 1 },
+  },
+  {
+    id: "busy-day",
+    title: "Busy Day",
+    description: "Complete 5 quests in a single day",
+    tier: "bronze",
+    rule: { type: "completions", count: 5, within: "day" },
+  },
+  {
+    id: "family-week",
+    title: "Family First",
+    description: "Complete 7 family quests in a week",
+    tier: "silver",
+    rule: { type: "completions", count: 7, domain: "family", within: "week" },
+  },
+  {
+    id: "centurion",
+    title: "Centurion",
+    description: "Complete 100 quests",
+    tier: "gold",
+    rule: { type: "completions", count: 100 },
+  },
+  {
+    id: "level-5",
+    title: "Seasoned",
+    description: "Reach level 5",
+    tier: "silver",
+    rule: { type: "level", level: 5 },
+  },
+  {
+    id: "level-10",
+    title: "Veteran",
+    description: "Reach level 10",
+    tier: "gold",
+    rule: { type: "level", level: 10 },
+  },
+  {
+    id: "streak-7",
+    title: "On a Roll",
+    description: "Keep a 7-day streak",
+    tier: "bronze",
+    rule: { type: "streak", days: 7 },
+  },
+  {
+    id: "streak-30",
+    title: "Unstoppable",
+    description: "Keep a 30-day streak",
+    tier: "gold",
+    rule: { type: "streak", days: 30 },
+  },
+  {
+    id: "ceo-streak-14",
+    title: "Steady Hand",
+    description: "Keep a 14-day CEO streak",
+    tier: "silver",
+    rule: { type: "streak", days: 14, domain: "ceo" },
+  },
+  {
+    id: "empathy-adept",
+    title: "Good Listener",
+    description: "Raise empathy to level 8",
+    tier: "silver",
+    rule: { type: "attribute", attribute: "empathy", level: 8 },
+  },
+  {
+    id: "xp-1000",
+    title: "Thousand Points of Light",
+    description: "Earn 1,000 XP",
+    tier: "silver",
+    rule: { type: "totalXP", amount: 1000 },
+  },
+];
@@ -0,0 +1,16 @@
+// Windows and thresholds for the analytics view
+export const ANALYTICS = {
+  // Weeks of XP shown in the stacked bar chart
+  weeks: 8,
+  // Days / weeks of history a cadence's completion rate looks back over
+  rateWindowDays: 28,
+  rateWindowWeeks: 8,
+  // Domain balance looks at this many recent weeks, and warns when a domain
+  // earns less than `neglectRatio` of an even split of the XP between domains
+  balanceWeeks: 4,
+  neglectRatio: 0.45,
+  // Months of completions the habit heatmap covers
+  heatmapMonths: 12,
+  // How many days back a missed completion can be filled in from the heatmap
+  backfillDays: 7,
+};
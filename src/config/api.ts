@@ -0,0 +1,3 @@
+// Base URL of the reports API (`npm run serve`), from VITE_API_URL.
+// Without it the dashboard doesn't request live sales data.
+export const apiBaseUrl: string | null = import.meta.env.VITE_API_URL?.replace(/\/$/, "") || null;
@@ -0,0 +1,53 @@
+import {
+  BookOpen,
+  Briefcase,
+  Dumbbell,
+  GraduationCap,
+  Heart,
+  Home,
+  Palette,
+  Sprout,
+  Star,
+  Tag,
+  User,
+  Users,
+  type LucideIcon,
+} from "lucide-react";
+import type { DomainColor, DomainDefinition } from "../types";
+
+// Domains every new game starts with; users can rename, recolor and remove them
+export const DEFAULT_DOMAINS: DomainDefinition[] = [
+  { id: "personal", name: "Personal", color: "green", icon: "user", attributes: { empathy: 1, discipline: 1 } },
+  { id: "ceo", name: "CEO", color: "blue", icon: "briefcase", attributes: { strategy: 1, communication: 1 } },
+  { id: "family", name: "Family", color: "purple", icon: "heart", attributes: { empathy: 1, communication: 1 } },
+];
+
+// Default domains for the dashboard's work and family cards, until others are picked in settings
+export const DASHBOARD_DOMAINS = { work: "ceo", family: "family" };
+
+// Full class names so Tailwind keeps them in the build
+export const DOMAIN_COLORS: Record<DomainColor, { badge: string; bar: string; text: string }> = {
+  green: { badge: "bg-green-100 text-green-800", bar: "bg-green-500", text: "text-green-600" },
+  blue: { badge: "bg-blue-100 text-blue-800", bar: "bg-blue-500", text: "text-blue-600" },
+  purple: { badge: "bg-purple-100 text-purple-800", bar: "bg-purple-500", text: "text-purple-600" },
+  orange: { badge: "bg-orange-100 text-orange-800", bar: "bg-orange-500", text: "text-orange-600" },
+  pink: { badge: "bg-pink-100 text-pink-800", bar: "bg-pink-500", text: "text-pink-600" },
+  teal: { badge: "bg-teal-100 text-teal-800", bar: "bg-teal-500", text: "text-teal-600" },
+  amber: { badge: "bg-amber-100 text-amber-800", bar: "bg-amber-500", text: "text-amber-600" },
+  slate: { badge: "bg-slate-100 text-slate-800", bar: "bg-slate-500", text: "text-slate-600" },
+};
+
+export const DOMAIN_ICONS: Record<string, LucideIcon> = {
+  user: User,
+  briefcase: Briefcase,
+  heart: Heart,
+  users: Users,
+  home: Home,
+  dumbbell: Dumbbell,
+  book: BookOpen,
+  school: GraduationCap,
+  sprout: Sprout,
+  palette: Palette,
+  star: Star,
+  tag: Tag,
+};
@@ -0,0 +1,15 @@
+import type { LessonPack } from "../types";
+import { parseLessonPack } from "../utils/lessons";
+import { loadPacks } from "../utils/contentPacks";
+
+// Every JSON file in src/content/lessons is a lesson pack; drop a new file
+// there to add lessons. Invalid packs are skipped with a warning.
+const packFiles = import.meta.glob("../content/lessons/*.json", { eager: true, import: "default" });
+
+export const LESSON_PACKS: LessonPack[] = loadPacks(packFiles, parseLessonPack, "lesson");
+
+export const LESSONS = LESSON_PACKS.flatMap(pack => pack.lessons);
+
+// Rewards for finishing a lesson
+export const LESSON_XP = 20;
+export const LESSON_ATTRIBUTE_POINTS = 15;
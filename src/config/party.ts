@@ -0,0 +1,8 @@
+// Tunables for household party mode
+export const PARTY = {
+  maxMembers: 8,
+  // The Relationship score counts joint completions over this many days,
+  // newer ones weighing more; `jointTarget` recent ones make a score of 100
+  relationshipWindowDays: 30,
+  jointTarget: 12,
+};
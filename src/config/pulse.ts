@@ -0,0 +1,12 @@
+// The team pulse survey behind the dashboard's Morale figure. Each
+// question is answered on a 1-5 scale; morale averages the answers given
+// within the last `windowDays`.
+export const PULSE_SURVEY = {
+  questions: [
+    { key: "energy", label: "How energised is the team?" },
+    { key: "clarity", label: "How clear are this week's priorities?" },
+    { key: "support", label: "How well supported do people feel?" },
+  ],
+  scale: 5,
+  windowDays: 14,
+};
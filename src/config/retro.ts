@@ -0,0 +1,11 @@
+import type { RetroPhase } from "../types";
+
+// The guided retro: three timed phases adding up to 15 minutes
+export const RETRO_PHASES: { key: RetroPhase; title: string; prompt: string; minutes: number }[] = [
+  { key: "went_well", title: "What went well", prompt: "Wins, progress and things worth repeating", minutes: 5 },
+  { key: "went_badly", title: "What didn't", prompt: "Blockers, frustrations and surprises", minutes: 5 },
+  { key: "actions", title: "Actions", prompt: "Concrete next steps, one per item", minutes: 5 },
+];
+
+// Paid at most once a week, for a retro with notes or action items
+export const RETRO_XP = 30;
@@ -0,0 +1,24 @@
+import type { StorageConfig } from "../storage";
+
+// Pick where game data lives with VITE_STORAGE_ADAPTER:
+//   local (default) | indexeddb | http (needs VITE_STORAGE_URL)
+// VITE_ variables are baked into the public bundle, so no credentials go here:
+// the save server authenticates the browser with its own session cookie.
+function readStorageConfig(): StorageConfig {
+  const env = import.meta.env;
+
+  switch (env.VITE_STORAGE_ADAPTER) {
+    case "indexeddb":
+      return { adapter: "indexeddb" };
+    case "http":
+      if (!env.VITE_STORAGE_URL) {
+        console.warn("VITE_STORAGE_ADAPTER=http needs VITE_STORAGE_URL; using localStorage");
+        return { adapter: "local" };
+      }
+      return { adapter: "http", baseUrl: env.VITE_STORAGE_URL };
+    default:
+      return { adapter: "local" };
+  }
+}
+
+export const storageConfig = readStorageConfig();
@@ -0,0 +1,9 @@
+import type { TemplatePack } from "../types";
+import { parseTemplatePack } from "../utils/templates";
+import { loadPacks } from "../utils/contentPacks";
+
+// Every JSON file in src/content/templates is a quest template pack; drop
+// a new file there to add one. Invalid packs are skipped with a warning.
+const packFiles = import.meta.glob("../content/templates/*.json", { eager: true, import: "default" });
+
+export const TEMPLATE_PACKS: TemplatePack[] = loadPacks(packFiles, parseTemplatePack, "template");
@@ -0,0 +1,33 @@
+import type { XPRulesConfig } from "../types";
+
+// Tune quest rewards here. Multipliers are applied on top of `base`,
+// and the result is clamped to [min, max] before bonuses.
+export const XP_RULES: XPRulesConfig = {
+  base: 10,
+  min: 5,
+  max: 100,
+  difficulty: {
+    easy: 1,
+    medium: 1.5,
+    hard: 2.25,
+    epic: 3.5,
+  },
+  // Recurring quests pay less per completion because they pay more often
+  cadence: {
+    daily: 1,
+    weekly: 1.75,
+    once: 2.5,
+  },
+  domain: {
+    personal: 1,
+    ceo: 1,
+    family: 1.1,
+  },
+  perMinute: 0.25,
+  maxMinutes: 120,
+  bonuses: {
+    firstCompletion: 1.5,
+    perStreakPeriod: 0.05,
+    maxStreakBonus: 0.5,
+  },
+};
@@ -1,17 +1,95 @@
-import { useEffect, useState } from "react";
-import type { Character, Quest } from "../types";
-import { uid, nowISO, calculateLevel } from "../utils/game";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import type {
+  Achievement,
+  AttributeValues,
+  Character,
+  Difficulty,
+  Domain,
+  DomainDefinition,
+  GameSave,
+  Lesson,
+  LessonCompletion,
+  PartyMember,
+  Priority,
+  TemplatePack,
+  PulseResponse,
+  Quest,
+  QuestChanges,
+  Retro,
+  QuestStep,
+  Settings,
+  StreakState,
+  WeekStart,
+  XPLedgerEntry,
+  XPReason,
+} from "../types";
+import { uid, nowISO } from "../utils/game";
+import {
+  DEFAULT_WEEK_START,
+  dateKey,
+  lastCompletion,
+  msUntilNextDay,
+  recordCompletion,
+  recordPastCompletion,
+  resetExpiredQuests,
+  revokeCompletion,
+} from "../utils/cadence";
+import { localDateTime } from "../utils/schedule";
+import { BASE_ATTRIBUTES, applyAttributeGain, attributeGain } from "../utils/attributes";
+import { completionXP, computeQuestXP } from "../utils/xpRules";
+import { combineSaves, type ImportMode } from "../utils/saveFiles";
+import {
+  DomainError,
+  createDomain,
+  reassignQuests,
+  resolveDomain,
+  updateDomain,
+  type DomainInput,
+} from "../utils/domains";
+import type { CalendarEvent } from "../utils/ical";
+import { newlyUnlocked } from "../utils/achievements";
+import { canToggleStep, hasSteps, isLocked } from "../utils/chains";
+import { ACHIEVEMENTS } from "../config/achievements";
+import { DASHBOARD_DOMAINS, DEFAULT_DOMAINS } from "../config/domains";
+import { retroXP } from "../utils/retro";
+import { LESSON_ATTRIBUTE_POINTS, LESSON_XP } from "../config/lessons";
+import { createLedgerEntry, levelFromLedger } from "../utils/ledger";
+import { pushHistory, restoreSnapshot, type History } from "../utils/history";
+import { PLAYER_ID, createMember, memberLedger, unassignMember } from "../utils/party";
+import { installedFromPack, templatesToInstall } from "../utils/templates";
+import { canBackfill } from "../utils/heatmap";
+import { computeStreaks, emptyStreakState, updateStreakState } from "../utils/streaks";
+import {
+  SCHEMA_VERSION,
+  createSaveQueue,
+  createStorageAdapter,
+  createSyncChannel,
+  loadHistory,
+  loadSave,
+  mergeSaves,
+  migrateSave,
+  saveHistory,
+  saveContent,
+  type StorageAdapter,
+} from "../storage";
+import { storageConfig } from "../config/storage";
 
-// LocalStorage keys
-const LS_USER = "dnd_user_demo";
-const LS_QUESTS = "dnd_quests_demo";
+const defaultAdapter = createStorageAdapter(storageConfig);
+
+export type LoadStatus = "loading" | "ready" | "error";
 
 // Initial demo data
 const defaultCharacter: Character = {
   name: "You",
   level: 1,
   xp: 0,
-  attributes: { empathy: 3, discipline: 3, strategy: 2, communication: 3 },
+  attributes: { ...BASE_ATTRIBUTES },
+  attributePoints: {},
+};
+
+const defaultSettings: Settings = {
+  weekStart: DEFAULT_WEEK_START,
+  remindersEnabled: false,
 };
 
 const starterQuests: Quest[] = [
@@ -22,7 +100,8 @@ const starterQuests: Quest[] = [
     cadence: "daily", 
     xp: 10, 
     completed: false, 
-    createdAt: nowISO() 
+    createdAt: nowISO(), 
+    history: [] 
   },
   { 
     id: uid(), 
@@ -31,7 +110,8 @@ const starterQuests: Quest[] = [
     cadence: "weekly", 
     xp: 25, 
     completed: false, 
-    createdAt: nowISO() 
+    createdAt: nowISO(), 
+    history: [] 
   },
   { 
     id: uid(), 
@@ -40,110 +120,793 @@ const starterQuests: Quest[] = [
     cadence: "weekly", 
     xp: 30, 
     completed: false, 
-    createdAt: nowISO() 
+    createdAt: nowISO(), 
+    history: [] 
   },
 ];
 
-export function useGameData() {
+export function useGameData(adapter: StorageAdapter = defaultAdapter) {
+  const [status, setStatus] = useState<LoadStatus>("loading");
+  const [error, setError] = useState<string | null>(null);
   const [name, setName] = useState<string | null>(null);
-  const [character, setCharacter] = useState<Character>(defaultCharacter);
+  const [storedCharacter, setCharacter] = useState<Character>(defaultCharacter);
+  const [ledger, setLedger] = useState<XPLedgerEntry[]>([]);
   const [quests, setQuests] = useState<Quest[]>([]);
+  const [domains, setDomains] = useState<DomainDefinition[]>(DEFAULT_DOMAINS);
+  const [settings, setSettings] = useState<Settings>(defaultSettings);
+  const [streakState, setStreakState] = useState<StreakState>(emptyStreakState);
+  const [startedAt, setStartedAt] = useState(nowISO);
+  const [tombstones, setTombstones] = useState<Record<string, string>>({});
+  const [achievements, setAchievements] = useState<Record<string, string>>({});
+  const [pulses, setPulses] = useState<PulseResponse[]>([]);
+  const [retros, setRetros] = useState<Retro[]>([]);
+  const [lessonLog, setLessonLog] = useState<LessonCompletion[]>([]);
+  const [party, setParty] = useState<PartyMember[]>([]);
+  const [templatePacks, setTemplatePacks] = useState<TemplatePack[]>([]);
+  const [unlockToasts, setUnlockToasts] = useState<Achievement[]>([]);
+  const [history, setHistory] = useState<History>(loadHistory);
+  // Label of the last destructive action, offered for undo in a snackbar
+  const [undoToast, setUndoToast] = useState<{ id: string; label: string } | null>(null);
+  const [today, setToday] = useState(() => dateKey(new Date()));
 
-  // Load from localStorage on mount
-  useEffect(() => {
-    const lsUser = localStorage.getItem(LS_USER);
-    if (lsUser) {
-      try {
-        const parsed = JSON.parse(lsUser) as { name?: string };
-        if (parsed.name) setName(parsed.name);
-      } catch {}
-    }
-
-    const lsChar = localStorage.getItem(LS_QUESTS);
-    if (lsChar) {
-      try {
-        const parsed = JSON.parse(lsChar) as { quests?: Quest[]; character?: Character };
-        if (parsed.quests) setQuests(parsed.quests);
-        if (parsed.character) setCharacter(parsed.character);
-      } catch {}
-    } else {
-      // seed demo data
+  // `save` has already been migrated to the current schema; null starts a
+  // new game with the demo data
+  const applySave = (save: GameSave | null) => {
+    if (!save) {
+      setName(null);
       setQuests(starterQuests);
+      setDomains(DEFAULT_DOMAINS);
       setCharacter(defaultCharacter);
+      setLedger([]);
+      setSettings(defaultSettings);
+      setStreakState(emptyStreakState);
+      setStartedAt(nowISO());
+      setTombstones({});
+      setAchievements({});
+      setPulses([]);
+      setRetros([]);
+      setLessonLog([]);
+      setParty([]);
+      setTemplatePacks([]);
+      return;
     }
-  }, []);
 
-  // Persist to localStorage whenever data changes
+    setName(save.name);
+    setQuests(resetExpiredQuests(save.quests, new Date(), save.settings.weekStart));
+    setDomains(save.domains);
+    setCharacter(save.character);
+    setLedger(save.ledger);
+    setSettings(save.settings);
+    setStreakState(save.streaks);
+    setStartedAt(save.startedAt);
+    setTombstones(save.tombstones);
+    setAchievements(save.achievements);
+    setPulses(save.pulses);
+    setRetros(save.retros);
+    setLessonLog(save.lessons);
+    setParty(save.party);
+    setTemplatePacks(save.templates);
+  };
+
+  const load = useCallback(() => {
+    let cancelled = false;
+    setStatus("loading");
+    setError(null);
+
+    loadSave(adapter)
+      .then(({ save, recovered }) => {
+        if (cancelled) return;
+        applySave(save);
+        setStatus("ready");
+        if (recovered) {
+          setError("Your latest save could not be read, so your last backup was restored.");
+        }
+      })
+      .catch((err: unknown) => {
+        if (cancelled) return;
+        setError(err instanceof Error ? err.message : String(err));
+        setStatus("error");
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [adapter]);
+
+  // Load through the storage adapter on mount
+  useEffect(() => load(), [load]);
+
+  // Give up on an unreadable save; it has been kept in the "corrupt" slot
+  const startFresh = () => {
+    saveQueue.current?.clear().catch(() => undefined);
+    applySave(null);
+    setError(null);
+    setStatus("ready");
+  };
+
+  // Reset recurring quests whose period has ended: on load, at every local
+  // midnight while the app stays open, and when a sleeping tab wakes up
+  useEffect(() => {
+    const rollover = () => {
+      setQuests(prev => resetExpiredQuests(prev, new Date(), settings.weekStart));
+      setToday(dateKey(new Date()));
+    };
+
+    let timer: number | undefined;
+    const schedule = () => {
+      timer = window.setTimeout(() => {
+        rollover();
+        schedule();
+      }, msUntilNextDay(new Date()) + 1000);
+    };
+
+    const onVisible = () => {
+      if (document.visibilityState === "visible") rollover();
+    };
+
+    rollover();
+    schedule();
+    document.addEventListener("visibilitychange", onVisible);
+
+    return () => {
+      window.clearTimeout(timer);
+      document.removeEventListener("visibilitychange", onVisible);
+    };
+  }, [settings.weekStart, status]);
+
+  // Keep freeze tokens and longest-streak records in step with completions
+  useEffect(() => {
+    setStreakState(prev => updateStreakState(prev, quests, new Date(), settings.weekStart));
+  }, [quests, settings.weekStart, today]);
+
+  // Keyed on `today` so the streaks are re-derived when the app stays open across midnight
+  const streaks = useMemo(
+    () => computeStreaks(quests, streakState, localDateTime(today, "00:00"), settings.weekStart),
+    [quests, streakState, settings.weekStart, today]
+  );
+
+  // XP and level are derived from the ledger, never accumulated in place.
+  // Only awards the player shared in count; the rest went to party members.
+  const playerLedger = useMemo(() => memberLedger(ledger, PLAYER_ID), [ledger]);
+  const character = useMemo(
+    () => ({ ...storedCharacter, ...levelFromLedger(playerLedger) }),
+    [storedCharacter, playerLedger]
+  );
+
+  const saveQueue = useRef<ReturnType<typeof createSaveQueue> | null>(null);
+  useEffect(() => {
+    saveQueue.current = createSaveQueue(adapter, err =>
+      setError(`Could not save your progress: ${err instanceof Error ? err.message : String(err)}`)
+    );
+  }, [adapter]);
+
+  // Unlock badges as soon as their rules are met
+  useEffect(() => {
+    if (status !== "ready") return;
+
+    const unlocked = newlyUnlocked(
+      ACHIEVEMENTS,
+      { quests, character, ledger: playerLedger, streaks, weekStart: settings.weekStart },
+      achievements
+    );
+    if (unlocked.length === 0) return;
+
+    const unlockedAt = nowISO();
+    setAchievements(prev => ({
+      ...prev,
+      ...Object.fromEntries(unlocked.map(achievement => [achievement.id, unlockedAt])),
+    }));
+    setUnlockToasts(prev => [...prev, ...unlocked]);
+  }, [status, quests, character, playerLedger, streaks, settings.weekStart, achievements]);
+
+  const currentSave = useMemo<GameSave>(
+    () => ({
+      version: SCHEMA_VERSION,
+      startedAt,
+      name,
+      quests,
+      domains,
+      character,
+      settings,
+      streaks: streakState,
+      ledger,
+      tombstones,
+      achievements,
+      pulses,
+      retros,
+      lessons: lessonLog,
+      party,
+      templates: templatePacks,
+    }),
+    [
+      startedAt,
+      name,
+      quests,
+      domains,
+      character,
+      settings,
+      streakState,
+      ledger,
+      tombstones,
+      achievements,
+      pulses,
+      retros,
+      lessonLog,
+      party,
+      templatePacks,
+    ]
+  );
+
+  // Content of the last save written or received, so a state that merely
+  // echoes another tab's save is not written and broadcast back again
+  const lastContent = useRef<string | null>(null);
+  const latestSave = useRef<GameSave | null>(null);
+  const syncChannel = useRef<ReturnType<typeof createSyncChannel>>(null);
+
+  // Persist whenever data changes, but never before the saved game has
+  // loaded, or the defaults would overwrite it
+  useEffect(() => {
+    if (status !== "ready") return;
+
+    const content = saveContent(currentSave);
+    if (content === lastContent.current) return;
+
+    const save = { ...currentSave, updatedAt: nowISO() };
+    lastContent.current = content;
+    latestSave.current = save;
+    saveQueue.current?.save(save);
+    syncChannel.current?.publish(save);
+  }, [status, currentSave]);
+
+  // Merge saves made in other tabs quest by quest
   useEffect(() => {
-    localStorage.setItem(LS_QUESTS, JSON.stringify({ quests, character }));
-  }, [quests, character]);
+    if (status !== "ready") return;
+
+    const channel = createSyncChannel(remote => {
+      const local = latestSave.current;
+      if (!local) return;
+
+      const merged = mergeSaves(local, remote);
+      lastContent.current = saveContent(remote);
+      latestSave.current = merged;
+      applySave(merged);
+    });
+    syncChannel.current = channel;
 
+    return () => {
+      channel?.close();
+      syncChannel.current = null;
+    };
+  }, [status]);
+
+  // Stored when the tab is hidden or closed rather than after every action,
+  // so a reload keeps the undo steps without re-serializing them each time
+  const latestHistory = useRef(history);
+  latestHistory.current = history;
   useEffect(() => {
-    localStorage.setItem(LS_USER, JSON.stringify({ name }));
-  }, [name]);
+    const persist = () => saveHistory(latestHistory.current);
+    const onHidden = () => {
+      if (document.visibilityState === "hidden") persist();
+    };
+
+    document.addEventListener("visibilitychange", onHidden);
+    window.addEventListener("pagehide", persist);
+    return () => {
+      document.removeEventListener("visibilitychange", onHidden);
+      window.removeEventListener("pagehide", persist);
+    };
+  }, []);
+
+  // Snapshot the game before an action so it can be undone
+  const record = (label: string, destructive = false) => {
+    const entry = { id: uid(), label, at: nowISO(), save: currentSave };
+    setHistory(prev => pushHistory(prev, entry));
+    setUndoToast(destructive ? { id: entry.id, label } : null);
+  };
 
-  const loginDemo = (inputName: string) => {
+  // Snapshots may predate a schema change, so they're migrated on the way back
+  const undo = () => {
+    const entry = history.past[history.past.length - 1];
+    if (!entry) return;
+
+    setHistory({
+      past: history.past.slice(0, -1),
+      future: [...history.future, { ...entry, save: currentSave }],
+    });
+    setUndoToast(null);
+    applySave(restoreSnapshot(currentSave, migrateSave(entry.save)));
+  };
+
+  const redo = () => {
+    const entry = history.future[history.future.length - 1];
+    if (!entry) return;
+
+    setHistory({
+      past: [...history.past, { ...entry, save: currentSave }],
+      future: history.future.slice(0, -1),
+    });
+    applySave(restoreSnapshot(currentSave, migrateSave(entry.save)));
+  };
+
+  // Household members can join at sign-in or later from the profile
+  const loginDemo = (inputName: string, memberNames: string[] = []) => {
     setName(inputName || "You");
     setCharacter(prev => ({ ...prev, name: inputName || "You" }));
+    setParty(memberNames.reduce<PartyMember[]>((members, memberName) => {
+      try {
+        return [...members, createMember(members, memberName)];
+      } catch {
+        return members;
+      }
+    }, []));
   };
 
-  const addQuest = (title: string, domain: Quest["domain"], cadence: Quest["cadence"]) => {
+  // Throws a PartyError with a message fit for the form
+  const addMember = (memberName: string) => {
+    const member = createMember(party, memberName);
+    setParty(prev => [...prev, member]);
+    return member;
+  };
+
+  // Members keep the XP they earned in the ledger; only assignments go
+  const removeMember = (memberId: string) => {
+    record(`Remove "${party.find(member => member.id === memberId)?.name ?? "member"}" from the party`, true);
+    setParty(prev => prev.filter(member => member.id !== memberId));
+    setQuests(prev => unassignMember(prev, memberId));
+  };
+
+  const addQuest = (
+    title: string, 
+    domain: Quest["domain"], 
+    cadence: Quest["cadence"], 
+    details: {
+      attributes?: AttributeValues;
+      difficulty?: Difficulty;
+      priority?: Priority;
+      estimatedMinutes?: number;
+      dueDate?: string;
+      dueTime?: string;
+      preferredTime?: string;
+      description?: string;
+      tags?: string[];
+      // Overrides the XP the rules would give
+      xp?: number;
+      retroId?: string;
+    } = {}
+  ) => {
     if (!title.trim()) return;
+    record(`Add "${title.trim()}"`);
     
+    const {
+      attributes,
+      difficulty,
+      priority,
+      estimatedMinutes,
+      dueDate,
+      dueTime,
+      preferredTime,
+      description,
+      tags,
+      xp,
+      retroId,
+    } = details;
     const quest: Quest = {
       id: uid(),
       title: title.trim(),
+      ...(description && { description }),
       domain,
       cadence,
-      xp: Math.max(5, Math.floor(Math.random() * 30) + 5),
+      xp: xp ?? computeQuestXP({ domain, cadence, difficulty, estimatedMinutes }),
       completed: false,
+      history: [],
       createdAt: nowISO(),
+      ...(difficulty && { difficulty }),
+      ...(priority && { priority }),
+      ...(estimatedMinutes && { estimatedMinutes }),
+      ...(attributes && { attributes }),
+      ...(dueDate && { dueDate }),
+      ...(dueDate && dueTime && { dueTime }),
+      ...(cadence !== "once" && preferredTime && { preferredTime }),
+      ...(tags?.length && { tags }),
+      ...(retroId && { retroId }),
     };
     
     setQuests(prev => [quest, ...prev]);
+    return quest.id;
+  };
+
+  // Every edit bumps `updatedAt`, which decides conflicts between tabs
+  const updateQuestWith = (questId: string, update: (quest: Quest) => Quest) => {
+    setQuests(prev => 
+      prev.map(quest => (quest.id === questId ? { ...update(quest), updatedAt: nowISO() } : quest))
+    );
+  };
+
+  const questLabel = (action: string, questId: string) =>
+    `${action} "${quests.find(quest => quest.id === questId)?.title ?? "quest"}"`;
+
+  const updateQuest = (questId: string, changes: QuestChanges) => {
+    record(questLabel("Edit", questId));
+    updateQuestWith(questId, quest => ({ ...quest, ...changes }));
+  };
+
+  const deleteQuest = (questId: string) => {
+    record(questLabel("Delete", questId), true);
+    setQuests(prev => prev.filter(quest => quest.id !== questId));
+    setTombstones(prev => ({ ...prev, [questId]: nowISO() }));
+  };
+
+  // Archived quests leave the active list but keep their completion history
+  const archiveQuest = (questId: string) => {
+    record(questLabel("Archive", questId), true);
+    updateQuestWith(questId, quest => ({ ...quest, archivedAt: nowISO() }));
+  };
+
+  const restoreQuest = (questId: string) => {
+    record(questLabel("Restore", questId));
+    updateQuestWith(questId, quest => ({ ...quest, archivedAt: undefined }));
+  };
+
+  // Take back exactly what the latest completion granted, from whoever got it
+  const uncompleteQuest = (quest: Quest) => {
+    const last = lastCompletion(quest);
+    if (last?.attributes) growAttributes(last.attributes, -1);
+    awardXP(-(last?.xp ?? quest.xp), "quest_uncompleted", last ? last.members : quest.assignees, quest);
+    return revokeCompletion(quest);
+  };
+
+  // Pay out a completion to every assignee; attributes only grow if the player took part
+  const rewardCompletion = (quest: Quest, streak: number, note?: string) => {
+    const gain = !quest.assignees || quest.assignees.includes(PLAYER_ID) ? attributeGain(quest, domains) : {};
+    const xp = completionXP(quest, { firstCompletion: (quest.history ?? []).length === 0, streak });
+    awardXP(xp, "quest_completed", quest.assignees, quest, note);
+    growAttributes(gain);
+    return { gain, xp };
+  };
+
+  const completeQuest = (quest: Quest, now: Date) => {
+    const { gain, xp } = rewardCompletion(quest, streaks.quests[quest.id]?.current ?? 0);
+    return recordCompletion(quest, now, settings.weekStart, gain, xp, quest.assignees);
+  };
+
+  // A completion forgotten on a past day (YYYY-MM-DD), stamped with that day
+  // in the history so streaks and the heatmap count it. It pays no XP or
+  // attribute points, so filling in old days can't be farmed.
+  const backfillCompletion = (questId: string, date: string) => {
+    const quest = quests.find(q => q.id === questId);
+    const now = new Date();
+    if (!quest || !canBackfill(quest, date, now, settings.weekStart)) return;
+
+    record(questLabel(`Back-fill ${date} for`, questId));
+    updateQuestWith(questId, () =>
+      recordPastCompletion(quest, date, now, settings.weekStart, undefined, 0, quest.assignees)
+    );
   };
 
   const toggleComplete = (questId: string) => {
+    const quest = quests.find(q => q.id === questId);
+    // Chains complete through their steps; locked quests can't be started
+    if (!quest || hasSteps(quest)) return;
+    if (!quest.completed && isLocked(quest, quests)) return;
+
+    record(questLabel(quest.completed ? "Uncheck" : "Complete", questId));
+    const updated = quest.completed ? uncompleteQuest(quest) : completeQuest(quest, new Date());
+    updateQuestWith(questId, () => updated);
+  };
+
+  // Each step pays its own XP; checking the last step completes the quest
+  // and pays the quest's XP as a bonus, unchecking any step undoes that
+  const toggleStep = (questId: string, stepId: string) => {
+    const quest = quests.find(q => q.id === questId);
+    if (!quest || !hasSteps(quest) || !canToggleStep(quest, stepId)) return;
+    if (isLocked(quest, quests)) return;
+
+    record(questLabel("Toggle a step of", questId));
+    const now = new Date();
+    const note = (step: QuestStep) => `${quest.title}: ${step.title}`;
+    const steps = quest.steps.map(step => {
+      if (step.id !== stepId) return step;
+
+      if (step.completedAt) {
+        awardXP(-(step.awardedXp ?? step.xp), "step_uncompleted", step.awardedTo, quest, note(step));
+        return { ...step, completedAt: undefined, awardedXp: undefined, awardedTo: undefined };
+      }
+
+      awardXP(step.xp, "step_completed", quest.assignees, quest, note(step));
+      return {
+        ...step,
+        completedAt: now.toISOString(),
+        awardedXp: step.xp,
+        ...(quest.assignees && { awardedTo: quest.assignees }),
+      };
+    });
+
+    let updated: Quest = { ...quest, steps };
+    const allDone = steps.every(step => step.completedAt);
+    if (allDone && !quest.completed) updated = completeQuest(updated, now);
+    if (!allDone && quest.completed) updated = uncompleteQuest(updated);
+
+    updateQuestWith(questId, () => updated);
+  };
+
+  // `memberIds` is who gets the XP, never inferred: unset means the player alone
+  const awardXP = (
+    amount: number,
+    reason: XPReason,
+    memberIds: string[] | undefined,
+    quest?: Quest,
+    note = quest?.title
+  ) => {
+    const entry = createLedgerEntry(amount, reason, { questId: quest?.id, note, memberIds });
+    setLedger(prev => [...prev, entry]);
+  };
+
+  const growAttributes = (gain: AttributeValues, sign: 1 | -1 = 1) => {
+    setCharacter(prev => applyAttributeGain(prev, gain, sign));
+  };
+
+  const setWeekStart = (weekStart: WeekStart) => {
+    setSettings(prev => ({ ...prev, weekStart }));
+  };
+
+  const setRemindersEnabled = (remindersEnabled: boolean) => {
+    setSettings(prev => ({ ...prev, remindersEnabled }));
+  };
+
+  const setDashboardDomain = (card: "work" | "family", domain: Domain) => {
+    setSettings(prev => ({ ...prev, [`${card}Domain`]: domain }));
+  };
+
+  const dashboardDomains = {
+    work: resolveDomain(domains, settings.workDomain, DASHBOARD_DOMAINS.work),
+    family: resolveDomain(domains, settings.familyDomain, DASHBOARD_DOMAINS.family),
+  };
+
+  // Re-importing a calendar updates the quests it created instead of
+  // adding duplicates
+  const importCalendarEvents = (events: CalendarEvent[], domain: Domain) => {
+    record("Import calendar");
+    const timestamp = nowISO();
     setQuests(prev => {
-      return prev.map(quest => {
-        if (quest.id !== questId) return quest;
-        
-        const newCompleted = !quest.completed;
-        
-        // If completing, award XP
-        if (!quest.completed && newCompleted) {
-          awardXP(quest.xp);
-        }
-        
-        return { ...quest, completed: newCompleted };
+      const known = new Set(prev.map(quest => quest.calendarEventId).filter(Boolean));
+      const schedule = (event: CalendarEvent) => ({
+        title: event.title,
+        description: event.description,
+        dueDate: event.date,
+        dueTime: event.time,
+      });
+
+      const added = events
+        .filter(event => !known.has(event.uid))
+        .map((event): Quest => ({
+          id: uid(),
+          domain,
+          cadence: "once",
+          xp: computeQuestXP({ domain, cadence: "once", estimatedMinutes: event.durationMinutes }),
+          completed: false,
+          history: [],
+          createdAt: timestamp,
+          updatedAt: timestamp,
+          calendarEventId: event.uid,
+          ...(event.durationMinutes && { estimatedMinutes: event.durationMinutes }),
+          ...schedule(event),
+        }));
+
+      const updates = new Map(events.map(event => [event.uid, event]));
+      const updated = prev.map(quest => {
+        const event = quest.calendarEventId ? updates.get(quest.calendarEventId) : undefined;
+        return event ? { ...quest, ...schedule(event), updatedAt: timestamp } : quest;
       });
+
+      return [...added, ...updated];
     });
   };
 
-  const awardXP = (amount: number) => {
-    setCharacter(prev => {
-      const newXPTotal = prev.xp + amount;
-      const { level, xp } = calculateLevel(newXPTotal, prev.level);
-      
-      return { ...prev, xp, level };
-    });
+  // Domain edits throw a DomainError with a message fit for the form
+  const addDomain = (input: DomainInput) => {
+    const domain = createDomain(domains, quests, input);
+    setDomains(prev => [...prev, domain]);
+    return domain;
+  };
+
+  const editDomain = (id: Domain, input: DomainInput) => {
+    setDomains(updateDomain(domains, id, input));
+  };
+
+  // Quests in a removed domain move to `moveTo`; a domain that still has
+  // quests can't be removed without one
+  const removeDomain = (id: Domain, moveTo?: Domain) => {
+    if (domains.length <= 1) throw new DomainError("Keep at least one domain");
+    if (moveTo === id || (moveTo && !domains.some(domain => domain.id === moveTo))) {
+      throw new DomainError("Pick another domain to move the quests to");
+    }
+    if (!moveTo && quests.some(quest => quest.domain === id)) {
+      throw new DomainError("Pick a domain to move this domain's quests to");
+    }
+
+    record(`Remove domain "${domains.find(domain => domain.id === id)?.name ?? id}"`, true);
+    if (moveTo) setQuests(prev => reassignQuests(prev, id, moveTo));
+    setDomains(prev => prev.filter(domain => domain.id !== id));
+  };
+
+  // Also the way out for quests whose domain is no longer registered
+  const moveDomainQuests = (from: Domain, to: Domain) => {
+    record(`Move quests out of "${from}"`);
+    setQuests(prev => reassignQuests(prev, from, to));
+  };
+
+  // Adds the pack's quests that aren't already active, so installing again
+  // fills gaps. `domainMap` sends template domains the registry lacks
+  // somewhere else.
+  const installTemplatePack = (pack: TemplatePack, domainMap: Record<Domain, Domain> = {}) => {
+    const timestamp = nowISO();
+    const added = templatesToInstall(pack, quests).map((template): Quest => ({
+      id: uid(),
+      title: template.title,
+      ...(template.description && { description: template.description }),
+      domain: domainMap[template.domain] ?? template.domain,
+      cadence: template.cadence,
+      xp: template.xp,
+      completed: false,
+      history: [],
+      createdAt: timestamp,
+      templatePackId: pack.id,
+      ...(template.difficulty && { difficulty: template.difficulty }),
+      ...(template.estimatedMinutes && { estimatedMinutes: template.estimatedMinutes }),
+      ...(template.attributes && { attributes: template.attributes }),
+      ...(template.tags && { tags: template.tags }),
+    }));
+    if (added.length === 0) return 0;
+
+    record(`Install "${pack.title}"`);
+    setQuests(prev => [...added, ...prev]);
+    return added.length;
+  };
+
+  // Quests never completed are deleted; the rest are archived so their
+  // history and the XP they earned stay put
+  const removeTemplatePack = (packId: string) => {
+    const installed = installedFromPack(quests, packId);
+    if (installed.length === 0) return;
+
+    record(`Remove ${installed.length} template ${installed.length === 1 ? "quest" : "quests"}`, true);
+    const timestamp = nowISO();
+    const kept = new Set(installed.filter(quest => quest.history?.length).map(quest => quest.id));
+    const deleted = installed.filter(quest => !kept.has(quest.id)).map(quest => quest.id);
+
+    setQuests(prev =>
+      prev
+        .filter(quest => !deleted.includes(quest.id))
+        .map(quest => (kept.has(quest.id) ? { ...quest, archivedAt: timestamp, updatedAt: timestamp } : quest))
+    );
+    setTombstones(prev => ({ ...prev, ...Object.fromEntries(deleted.map(id => [id, timestamp])) }));
+  };
+
+  // The user's own packs, saved from their quests or imported from a file
+  const saveTemplatePack = (pack: TemplatePack) => {
+    setTemplatePacks(prev => [...prev.filter(own => own.id !== pack.id), pack]);
+  };
+
+  const deleteTemplatePack = (packId: string) => {
+    setTemplatePacks(prev => prev.filter(pack => pack.id !== packId));
+  };
+
+  const submitPulse = (scores: Record<string, number>, note?: string) => {
+    const pulse: PulseResponse = {
+      id: uid(),
+      submittedAt: nowISO(),
+      scores,
+      ...(note && { note }),
+    };
+    setPulses(prev => [...prev, pulse]);
+  };
+
+  const finishRetro = (retro: Pick<Retro, "id" | "startedAt" | "notes" | "actions">) => {
+    const xp = retroXP(retro, retros, new Date(), settings.weekStart);
+    const finished: Retro = { ...retro, finishedAt: nowISO(), xp };
+    setRetros(prev => [...prev, finished]);
+    if (xp > 0) awardXP(xp, "retro_completed", undefined, undefined, `${retro.actions.length} action items`);
+  };
+
+  // A cancelled retro takes the quests made from its action items with it
+  const cancelRetro = (retroId: string) => {
+    const made = quests.filter(quest => quest.retroId === retroId);
+    if (made.length === 0) return;
+
+    record(`Cancel retro and remove ${made.length} ${made.length === 1 ? "quest" : "quests"}`, true);
+    const removedAt = nowISO();
+    setQuests(prev => prev.filter(quest => quest.retroId !== retroId));
+    setTombstones(prev => ({ ...prev, ...Object.fromEntries(made.map(quest => [quest.id, removedAt])) }));
+  };
+
+  const completeLesson = (lesson: Lesson, reflection?: string) => {
+    const completion: LessonCompletion = {
+      id: uid(),
+      lessonId: lesson.id,
+      completedAt: nowISO(),
+      ...(reflection && { reflection }),
+    };
+    setLessonLog(prev => [...prev, completion]);
+    awardXP(LESSON_XP, "lesson_completed", undefined, undefined, lesson.title);
+    growAttributes({ [lesson.attribute]: LESSON_ATTRIBUTE_POINTS });
+  };
+
+  const importSave = (imported: GameSave, mode: ImportMode) => {
+    record("Import save", mode === "replace");
+    applySave(combineSaves(currentSave, imported, mode));
   };
 
+  // The game before the reset stays in the undo history
   const resetDemo = () => {
-    localStorage.removeItem(LS_QUESTS);
-    localStorage.removeItem(LS_USER);
-    setName(null);
-    setQuests(starterQuests);
-    setCharacter(defaultCharacter);
+    record("Reset demo", true);
+    saveQueue.current?.clear().catch((err: unknown) =>
+      setError(`Could not clear saved data: ${err instanceof Error ? err.message : String(err)}`)
+    );
+    applySave(null);
   };
 
   return {
+    status,
+    error,
+    retryLoad: load,
+    startFresh,
+    dismissError: () => setError(null),
     name,
     character,
     quests,
+    domains,
+    ledger,
+    settings,
+    streaks,
+    streakFreezes: streakState.freezes,
+    achievements,
+    pulses,
+    retros,
+    lessonLog,
+    party,
+    playerLedger,
+    unlockToasts,
+    undoToast,
+    dismissUndoToast: () => setUndoToast(null),
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    undoLabel: history.past[history.past.length - 1]?.label,
+    redoLabel: history.future[history.future.length - 1]?.label,
+    undo,
+    redo,
+    dismissUnlockToast: (id: string) =>
+      setUnlockToasts(prev => prev.filter(achievement => achievement.id !== id)),
     loginDemo,
+    addMember,
+    removeMember,
     addQuest,
+    updateQuest,
+    deleteQuest,
+    archiveQuest,
+    restoreQuest,
     toggleComplete,
+    toggleStep,
+    backfillCompletion,
+    setWeekStart,
+    setRemindersEnabled,
+    dashboardDomains,
+    setDashboardDomain,
+    save: currentSave,
+    importSave,
+    importCalendarEvents,
+    addDomain,
+    editDomain,
+    removeDomain,
+    moveDomainQuests,
+    templatePacks,
+    installTemplatePack,
+    removeTemplatePack,
+    saveTemplatePack,
+    deleteTemplatePack,
+    submitPulse,
+    finishRetro,
+    cancelRetro,
+    completeLesson,
     resetDemo,
   };
 }
\ No newline at end of file
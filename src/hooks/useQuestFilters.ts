@@ -0,0 +1,33 @@
+import { useEffect, useState } from "react";
+import { FILTER_PARAMS, filtersFromParams, filtersToParams, type QuestFilters } from "../utils/questFilters";
+
+// Quest list filters, mirrored into the page's query string so a filtered
+// view can be bookmarked or shared. Other query parameters are left alone.
+export function useQuestFilters() {
+  const [filters, setFilters] = useState<QuestFilters>(() =>
+    filtersFromParams(new URLSearchParams(window.location.search))
+  );
+
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    FILTER_PARAMS.forEach(key => params.delete(key));
+    filtersToParams(filters).forEach((value, key) => params.set(key, value));
+
+    const search = params.toString();
+    const url = `${window.location.pathname}${search ? `?${search}` : ""}${window.location.hash}`;
+    if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+      window.history.replaceState(window.history.state, "", url);
+    }
+  }, [filters]);
+
+  // Back / forward to a bookmarked URL within the app
+  useEffect(() => {
+    const onPopState = () => setFilters(filtersFromParams(new URLSearchParams(window.location.search)));
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+
+  const updateFilters = (changes: Partial<QuestFilters>) => setFilters(prev => ({ ...prev, ...changes }));
+
+  return { filters, updateFilters, setFilters };
+}
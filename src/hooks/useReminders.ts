@@ -0,0 +1,105 @@
+import { useEffect, useRef, useState } from "react";
+import type { Quest, WeekStart } from "../types";
+import { pendingReminders, type Reminder } from "../utils/schedule";
+
+const CHECK_EVERY_MS = 30 * 1000;
+// Reminders that came due while the page was closed are still shown if
+// they're this recent; older ones are skipped
+const GRACE_MS = 10 * 60 * 1000;
+
+export type ReminderPermission = NotificationPermission | "unsupported";
+
+const notificationsSupported = () => typeof window !== "undefined" && "Notification" in window;
+
+async function registerWorker() {
+  if (!("serviceWorker" in navigator)) return null;
+  try {
+    await navigator.serviceWorker.register("/sw.js");
+    return await navigator.serviceWorker.ready;
+  } catch (error) {
+    console.warn("Could not register the reminder service worker", error);
+    return null;
+  }
+}
+
+export function useReminders(
+  quests: Quest[],
+  weekStart: WeekStart,
+  enabled: boolean,
+  setEnabled: (enabled: boolean) => void
+) {
+  const [permission, setPermission] = useState<ReminderPermission>(() =>
+    notificationsSupported() ? Notification.permission : "unsupported"
+  );
+  // Undefined until registration settles, null when there is no worker
+  const [worker, setWorker] = useState<ServiceWorkerRegistration | null>();
+  const fired = useRef(new Set<string>());
+  const latestQuests = useRef(quests);
+  latestQuests.current = quests;
+
+  const active = enabled && permission === "granted";
+
+  // Kept in state so the effects below run again once the worker is ready
+  useEffect(() => {
+    if (!active || worker !== undefined) return;
+
+    let cancelled = false;
+    registerWorker().then(registration => {
+      if (!cancelled) setWorker(registration);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [active, worker]);
+
+  useEffect(() => {
+    if (!active || worker === undefined) return;
+
+    const notify = (reminders: Reminder[]) => {
+      if (reminders.length === 0) return;
+      if (worker?.active) {
+        worker.active.postMessage({ type: "show", reminders });
+      } else {
+        reminders.forEach(reminder => new Notification(reminder.title, { body: reminder.body, tag: reminder.key }));
+      }
+    };
+
+    const check = () => {
+      const now = Date.now();
+      const due = pendingReminders(latestQuests.current, new Date(now), weekStart).filter(
+        reminder => reminder.at <= now && reminder.at > now - GRACE_MS && !fired.current.has(reminder.key)
+      );
+      due.forEach(reminder => fired.current.add(reminder.key));
+      notify(due);
+    };
+
+    check();
+    const timer = window.setInterval(check, CHECK_EVERY_MS);
+    return () => window.clearInterval(timer);
+  }, [active, weekStart, worker]);
+
+  // Hand future reminders to the worker so browsers with Notification
+  // Triggers can show them even when no tab is open
+  useEffect(() => {
+    if (!active || !worker?.active) return;
+    const now = Date.now();
+    const future = pendingReminders(quests, new Date(now), weekStart).filter(reminder => reminder.at > now);
+    worker.active.postMessage({ type: "schedule", reminders: future });
+  }, [active, quests, weekStart, worker]);
+
+  const enable = async () => {
+    if (!notificationsSupported()) return;
+    const result = await Notification.requestPermission();
+    setPermission(result);
+    setEnabled(result === "granted");
+  };
+
+  return {
+    permission,
+    active,
+    enable,
+    disable: () => setEnabled(false),
+  };
+}
+
+export type ReminderControls = ReturnType<typeof useReminders>;
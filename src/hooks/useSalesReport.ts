@@ -0,0 +1,39 @@
+import { useCallback, useEffect, useState } from "react";
+import { apiBaseUrl } from "../config/api";
+import { summarizeSales, type SalesReport, type SalesSnapshot } from "../utils/sales";
+
+const REPORT_MONTHS = 6;
+
+type SalesState =
+  | { status: "disabled" | "loading" }
+  | { status: "ready"; snapshot: SalesSnapshot }
+  | { status: "error"; error: string };
+
+export function useSalesReport() {
+  const [state, setState] = useState<SalesState>({ status: apiBaseUrl ? "loading" : "disabled" });
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    if (!apiBaseUrl) return;
+
+    const controller = new AbortController();
+    setState({ status: "loading" });
+
+    fetch(`${apiBaseUrl}/api/reports/sales?months=${REPORT_MONTHS}`, { signal: controller.signal })
+      .then(async response => {
+        if (!response.ok) throw new Error(`Sales report request failed with ${response.status}`);
+        const report = (await response.json()) as SalesReport;
+        setState({ status: "ready", snapshot: summarizeSales(report) });
+      })
+      .catch((err: unknown) => {
+        if (controller.signal.aborted) return;
+        setState({ status: "error", error: err instanceof Error ? err.message : String(err) });
+      });
+
+    return () => controller.abort();
+  }, [attempt]);
+
+  const retry = useCallback(() => setAttempt(prev => prev + 1), []);
+
+  return { ...state, retry };
+}
@@ -0,0 +1,30 @@
+import { useEffect, useRef } from "react";
+
+// Text fields keep the browser's own undo
+const isEditable = (target: EventTarget | null) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName));
+
+// Ctrl+Z undoes and Ctrl+Shift+Z (or Ctrl+Y) redoes; Cmd on macOS
+export function useUndoShortcuts(undo: () => void, redo: () => void) {
+  const actions = useRef({ undo, redo });
+  actions.current = { undo, redo };
+
+  useEffect(() => {
+    const onKeyDown = (event: KeyboardEvent) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey || isEditable(event.target)) return;
+
+      const key = event.key.toLowerCase();
+      if (key === "z" && !event.shiftKey) {
+        event.preventDefault();
+        actions.current.undo();
+      } else if ((key === "z" && event.shiftKey) || key === "y") {
+        event.preventDefault();
+        actions.current.redo();
+      }
+    };
+
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+}
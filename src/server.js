@@ -0,0 +1,115 @@
+import http from 'node:http';
+import dbConnection from './config/database.js';
+import ReportService from './services/reportService.js';
+
+const MAX_REPORT_MONTHS = 24;
+
+/**
+ * HTTP API exposing reports to the frontend
+ */
+class ApiServer {
+  constructor() {
+    this.port = parseInt(process.env.PORT) || 3000;
+    this.corsOrigin = process.env.CORS_ORIGIN || '*';
+    this.reportService = new ReportService();
+
+    this.routes = {
+      'GET /api/health': () => this.getHealth(),
+      'GET /api/reports/sales': (url) => this.getSalesReport(url)
+    };
+  }
+
+  /**
+   * Connect to the database and start listening
+   */
+  async start() {
+    try {
+      console.log('🚀 Starting API server...\n');
+
+      await dbConnection.connect();
+      dbConnection.setupGracefulShutdown();
+
+      this.server = http.createServer((req, res) => this.handle(req, res));
+      this.server.listen(this.port, () => {
+        console.log(`\n✅ API listening on http://localhost:${this.port}`);
+      });
+    } catch (error) {
+      console.error('\n❌ API server failed to start:', error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Route a request and write its JSON response
+   * @param {http.IncomingMessage} req Incoming request
+   * @param {http.ServerResponse} res Server response
+   */
+  async handle(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', this.corsOrigin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204).end();
+      return;
+    }
+
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const route = this.routes[`${req.method} ${url.pathname}`];
+
+    if (!route) {
+      this.sendJSON(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+      return;
+    }
+
+    try {
+      const { status = 200, body } = await route(url);
+      this.sendJSON(res, status, body);
+    } catch (error) {
+      console.error(`❌ Error handling ${req.method} ${url.pathname}:`, error.message);
+      this.sendJSON(res, 500, { error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Write a JSON response
+   * @param {http.ServerResponse} res Server response
+   * @param {number} status HTTP status code
+   * @param {Object} body Response body
+   */
+  sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Report whether the database is reachable
+   * @returns {Promise<Object>} Route result
+   */
+  async getHealth() {
+    const healthy = await dbConnection.ping();
+    return { status: healthy ? 200 : 503, body: { ok: healthy } };
+  }
+
+  /**
+   * Monthly sales trends and this month's product sales
+   * @param {URL} url Request URL; `months` sets how many months of trends
+   * @returns {Promise<Object>} Route result
+   */
+  async getSalesReport(url) {
+    const months = url.searchParams.has('months') ? Number(url.searchParams.get('months')) : 6;
+
+    if (!Number.isInteger(months) || months < 1 || months > MAX_REPORT_MONTHS) {
+      return { status: 400, body: { error: `months must be a whole number from 1 to ${MAX_REPORT_MONTHS}` } };
+    }
+
+    return { body: await this.reportService.getSalesReport(months) };
+  }
+}
+
+// Start the server if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  new ApiServer().start();
+}
+
+export default ApiServer;
@@ -0,0 +1,40 @@
+import AggregationExamples from './aggregationExamples.js';
+
+/**
+ * Business reports assembled from the aggregation pipelines
+ */
+class ReportService {
+  constructor() {
+    this.aggregations = new AggregationExamples();
+  }
+
+  /**
+   * Get the sales report behind the Company Snapshot card
+   * @param {number} months Number of months of trends to include
+   * @param {number} topProducts Number of best-selling products to include
+   * @param {Date} now Reference date for the current month
+   * @returns {Promise<Object>} Monthly trends and this month's product sales
+   */
+  async getSalesReport(months = 6, topProducts = 5, now = new Date()) {
+    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+
+    const [trends, products] = await Promise.all([
+      this.aggregations.getMonthlySalesTrends(months),
+      this.aggregations.getProductSalesAnalytics(monthStart, now)
+    ]);
+
+    return {
+      generatedAt: now.toISOString(),
+      months,
+      currentMonth: {
+        year: now.getFullYear(),
+        month: now.getMonth() + 1,
+        start: monthStart.toISOString()
+      },
+      trends,
+      products: products.slice(0, topProducts)
+    };
+  }
+}
+
+export default ReportService;
@@ -0,0 +1,84 @@
+import type { GameSave } from "../types";
+import { emptyHistory, type History, type HistoryEntry } from "../utils/history";
+
+// Kept apart from the save: undo history belongs to one tab, so it lives in
+// sessionStorage and isn't synced, exported or shared with other tabs
+const SS_HISTORY = "dnd_history_demo";
+
+// Snapshots share most of their quests, ledger entries and other fields, so
+// each distinct value is stored once and snapshots refer to it by index
+type PackedEntry = Omit<HistoryEntry, "save"> & { save: Record<string, number | number[]> };
+
+type PackedHistory = {
+  values: unknown[];
+  past: PackedEntry[];
+  future: PackedEntry[];
+};
+
+function pack({ past, future }: History): PackedHistory {
+  const values: unknown[] = [];
+  const indexes = new Map<unknown, number>();
+  const ref = (value: unknown) => {
+    let index = indexes.get(value);
+    if (index === undefined) {
+      index = values.push(value) - 1;
+      indexes.set(value, index);
+    }
+    return index;
+  };
+
+  const packEntry = ({ save, ...entry }: HistoryEntry): PackedEntry => ({
+    ...entry,
+    save: Object.fromEntries(
+      Object.entries(save).map(([key, value]) => [key, Array.isArray(value) ? value.map(ref) : ref(value)])
+    ),
+  });
+
+  return { past: past.map(packEntry), future: future.map(packEntry), values };
+}
+
+function unpack({ values, past, future }: PackedHistory): History {
+  const unpackEntry = ({ save, ...entry }: PackedEntry): HistoryEntry => ({
+    ...entry,
+    save: Object.fromEntries(
+      Object.entries(save).map(([key, value]) => [
+        key,
+        Array.isArray(value) ? value.map(index => values[index]) : values[value],
+      ])
+    ) as GameSave,
+  });
+
+  return { past: past.map(unpackEntry), future: future.map(unpackEntry) };
+}
+
+export function loadHistory(): History {
+  // Older versions kept one copy in localStorage that every tab overwrote
+  localStorage.removeItem(SS_HISTORY);
+  try {
+    const raw = JSON.parse(sessionStorage.getItem(SS_HISTORY) ?? "null");
+    return Array.isArray(raw?.values) && Array.isArray(raw?.past) && Array.isArray(raw?.future)
+      ? unpack(raw)
+      : emptyHistory;
+  } catch {
+    return emptyHistory;
+  }
+}
+
+// When storage is full the oldest steps go first
+export function saveHistory(history: History) {
+  let { past, future } = history;
+
+  while (true) {
+    try {
+      sessionStorage.setItem(SS_HISTORY, JSON.stringify(pack({ past, future })));
+      return;
+    } catch (error) {
+      if (past.length === 0 && future.length === 0) {
+        console.warn("Could not store undo history", error);
+        return;
+      }
+      if (past.length > 0) past = past.slice(1);
+      else future = future.slice(1);
+    }
+  }
+}
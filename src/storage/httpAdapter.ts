@@ -0,0 +1,56 @@
+import { CorruptSaveError, StorageError, type SaveSlot, type StorageAdapter } from "./types";
+
+// Talks to a backend exposing the save as a single resource:
+//   GET    {baseUrl}/save  -> 200 with the save, or 404 when there is none
+//   PUT    {baseUrl}/save  -> stores the JSON body
+//   DELETE {baseUrl}/save
+// Backup and corrupt copies live at {baseUrl}/save/backup and /save/corrupt.
+// Requests carry the browser's cookies, so the server can tie the save to the
+// signed-in user without a token in the client bundle.
+export function createHttpAdapter(baseUrl: string): StorageAdapter {
+  const root = `${baseUrl.replace(/\/$/, "")}/save`;
+  const slotUrl = (slot: SaveSlot) => (slot === "current" ? root : `${root}/${slot}`);
+
+  const send = async (method: string, url: string, body?: unknown) => {
+    let response: Response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: body !== undefined ? { "Content-Type": "application/json" } : undefined,
+        credentials: "include",
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+    } catch (error) {
+      throw new StorageError(`Could not reach the save server at ${url}`, error);
+    }
+
+    if (!response.ok && !(method === "GET" && response.status === 404)) {
+      throw new StorageError(`Save server responded ${response.status} to ${method}`);
+    }
+    return response;
+  };
+
+  return {
+    kind: "http",
+
+    async load(slot = "current") {
+      const response = await send("GET", slotUrl(slot));
+      if (response.status === 404) return null;
+
+      const raw = await response.text();
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        throw new CorruptSaveError("The save server returned invalid JSON", raw, error);
+      }
+    },
+
+    async save(save, slot = "current") {
+      await send("PUT", slotUrl(slot), save);
+    },
+
+    async clear() {
+      await send("DELETE", root);
+    },
+  };
+}
@@ -0,0 +1,106 @@
+import type { GameSave } from "../types";
+import { createHttpAdapter } from "./httpAdapter";
+import { createIndexedDbAdapter } from "./indexedDbAdapter";
+import { createLocalStorageAdapter } from "./localStorageAdapter";
+import { SchemaError, migrateSave } from "./migrations";
+import { CorruptSaveError, type StorageAdapter, type StorageConfig } from "./types";
+
+export type { SaveSlot, StorageAdapter, StorageAdapterKind, StorageConfig } from "./types";
+export { CorruptSaveError, StorageError } from "./types";
+export { SCHEMA_VERSION, SchemaError, migrateSave } from "./migrations";
+export { createSyncChannel, mergeSaves, saveContent } from "./sync";
+export { loadHistory, saveHistory } from "./history";
+
+export function createStorageAdapter(config: StorageConfig): StorageAdapter {
+  switch (config.adapter) {
+    case "indexeddb":
+      return createIndexedDbAdapter(config.databaseName);
+    case "http":
+      return createHttpAdapter(config.baseUrl);
+    default:
+      return createLocalStorageAdapter();
+  }
+}
+
+type QueuedWrite =
+  | { kind: "save"; save: GameSave }
+  | { kind: "clear"; resolve: () => void; reject: (error: unknown) => void };
+
+// Serializes writes so slow adapters never apply them out of order. While a
+// write is in flight only the latest pending save is kept. A clear drops the
+// saves still waiting and runs after the one in flight, so an older save can't
+// land afterwards and bring the cleared data back.
+export function createSaveQueue(adapter: StorageAdapter, onError: (error: unknown) => void) {
+  let inFlight = false;
+  let queue: QueuedWrite[] = [];
+
+  const flush = async () => {
+    inFlight = true;
+    let next: QueuedWrite | undefined;
+    while ((next = queue.shift())) {
+      if (next.kind === "save") {
+        try {
+          await adapter.save(next.save);
+        } catch (error) {
+          onError(error);
+        }
+      } else {
+        try {
+          await adapter.clear();
+          next.resolve();
+        } catch (error) {
+          next.reject(error);
+        }
+      }
+    }
+    inFlight = false;
+  };
+
+  const enqueue = (write: QueuedWrite) => {
+    const last = queue[queue.length - 1];
+    if (write.kind === "save" && last?.kind === "save") queue[queue.length - 1] = write;
+    else if (write.kind === "clear") queue = [...queue.filter(queued => queued.kind === "clear"), write];
+    else queue.push(write);
+    if (!inFlight) void flush();
+  };
+
+  return {
+    save: (save: GameSave) => enqueue({ kind: "save", save }),
+    clear: () => new Promise<void>((resolve, reject) => enqueue({ kind: "clear", resolve, reject })),
+  };
+}
+
+export type LoadResult = {
+  save: GameSave | null;
+  // True when the live save was unreadable and the backup was loaded instead
+  recovered: boolean;
+};
+
+// Load and migrate the live save. A save that loads cleanly becomes the new
+// backup; one that doesn't is stashed in the "corrupt" slot and the backup is
+// used instead, so bad data is never silently thrown away.
+export async function loadSave(adapter: StorageAdapter): Promise<LoadResult> {
+  let raw: unknown = null;
+
+  try {
+    raw = await adapter.load("current");
+    if (raw === null) return { save: null, recovered: false };
+
+    const save = migrateSave(raw);
+    adapter.save(save, "backup").catch(error => console.warn("Could not write save backup", error));
+    return { save, recovered: false };
+  } catch (error) {
+    if (!(error instanceof SchemaError || error instanceof CorruptSaveError)) throw error;
+
+    await adapter.save(error instanceof CorruptSaveError ? error.raw : raw, "corrupt");
+
+    const backup = await adapter.load("backup").catch(() => null);
+    if (backup === null) throw error;
+
+    try {
+      return { save: migrateSave(backup), recovered: true };
+    } catch {
+      throw error;
+    }
+  }
+}
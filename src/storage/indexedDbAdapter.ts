@@ -0,0 +1,51 @@
+import { StorageError, type StorageAdapter } from "./types";
+
+const STORE = "saves";
+
+function request<T>(req: IDBRequest<T>) {
+  return new Promise<T>((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(new StorageError("IndexedDB request failed", req.error));
+  });
+}
+
+function openDatabase(databaseName: string) {
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new StorageError("IndexedDB is not available in this browser"));
+  }
+
+  const req = indexedDB.open(databaseName, 1);
+  req.onupgradeneeded = () => {
+    req.result.createObjectStore(STORE);
+  };
+  return request(req);
+}
+
+// Keeps the whole save as one structured-clone record, which scales to
+// long completion histories far better than a localStorage string
+export function createIndexedDbAdapter(databaseName = "dnd-life"): StorageAdapter {
+  let db: Promise<IDBDatabase> | null = null;
+
+  const store = async (mode: IDBTransactionMode) => {
+    db ??= openDatabase(databaseName);
+    return (await db).transaction(STORE, mode).objectStore(STORE);
+  };
+
+  return {
+    kind: "indexeddb",
+
+    // Records are keyed by save slot
+    async load(slot = "current") {
+      const save = await request<unknown>((await store("readonly")).get(slot));
+      return save ?? null;
+    },
+
+    async save(save, slot = "current") {
+      await request((await store("readwrite")).put(save, slot));
+    },
+
+    async clear() {
+      await request((await store("readwrite")).delete("current"));
+    },
+  };
+}
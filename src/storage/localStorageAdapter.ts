@@ -0,0 +1,51 @@
+import { CorruptSaveError, type SaveSlot, type StorageAdapter } from "./types";
+
+// Keys used since the first demo, kept so existing saves still load
+const LS_USER = "dnd_user_demo";
+const LS_QUESTS = "dnd_quests_demo";
+
+const slotKey = (slot: Exclude<SaveSlot, "current">) => `${LS_QUESTS}_${slot}`;
+
+function readJSON(key: string): unknown {
+  const raw = localStorage.getItem(key);
+  if (raw === null) return null;
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new CorruptSaveError(`Saved data under "${key}" is not valid JSON`, raw, error);
+  }
+}
+
+export function createLocalStorageAdapter(): StorageAdapter {
+  return {
+    kind: "local",
+
+    async load(slot = "current") {
+      if (slot !== "current") return readJSON(slotKey(slot));
+
+      const user = readJSON(LS_USER) as { name?: string | null } | null;
+      const state = readJSON(LS_QUESTS) as Record<string, unknown> | null;
+      if (!user && !state) return null;
+
+      return { ...state, name: user?.name ?? null };
+    },
+
+    async save(save, slot = "current") {
+      if (slot !== "current") {
+        localStorage.setItem(slotKey(slot), typeof save === "string" ? save : JSON.stringify(save));
+        return;
+      }
+
+      const { name, ...state } = save as { name: string | null };
+      localStorage.setItem(LS_QUESTS, JSON.stringify(state));
+      localStorage.setItem(LS_USER, JSON.stringify({ name }));
+    },
+
+    // Only the live save is cleared; the backup stays recoverable
+    async clear() {
+      localStorage.removeItem(LS_QUESTS);
+      localStorage.removeItem(LS_USER);
+    },
+  };
+}
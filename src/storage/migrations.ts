@@ -0,0 +1,244 @@
+import type { GameSave } from "../types";
+import { DEFAULT_WEEK_START } from "../utils/cadence";
+import { BASE_ATTRIBUTES } from "../utils/attributes";
+import { DEFAULT_DOMAINS } from "../config/domains";
+import { createLedgerEntry, openingBalance } from "../utils/ledger";
+import { emptyStreakState } from "../utils/streaks";
+import { isObject } from "../utils/guards";
+import { StorageError } from "./types";
+
+// Bump this and append a migration whenever the shape of GameSave changes
+export const SCHEMA_VERSION = 10;
+
+type Payload = Record<string, unknown>;
+
+type Migration = {
+  // Version the payload is at after this migration ran
+  version: number;
+  description: string;
+  up: (payload: Payload) => Payload;
+};
+
+export class SchemaError extends StorageError {
+  problems: string[];
+
+  constructor(message: string, problems: string[] = []) {
+    super(problems.length > 0 ? `${message}: ${problems.join("; ")}` : message);
+    this.name = "SchemaError";
+    this.problems = problems;
+  }
+}
+
+// Ordered oldest first; each one upgrades from `version - 1`
+const migrations: Migration[] = [
+  {
+    version: 1,
+    description: "Stamp the schema version and fill in settings, streaks, history and the XP ledger",
+    up: payload => {
+      const character = isObject(payload.character) ? payload.character : undefined;
+      const quests = Array.isArray(payload.quests) ? payload.quests : [];
+
+      let ledger = payload.ledger;
+      if (!Array.isArray(ledger)) {
+        // Saves from before the ledger: carry the earned XP over as one entry
+        const balance = character
+          ? openingBalance({ level: Number(character.level) || 1, xp: Number(character.xp) || 0 })
+          : 0;
+        ledger = balance > 0 ? [createLedgerEntry(balance, "opening_balance")] : [];
+      }
+
+      return {
+        ...payload,
+        name: payload.name ?? null,
+        quests: quests.map(quest => (isObject(quest) ? { history: [], ...quest } : quest)),
+        character: {
+          name: typeof payload.name === "string" ? payload.name : "You",
+          level: 1,
+          xp: 0,
+          ...character,
+          attributes: { ...BASE_ATTRIBUTES, ...(isObject(character?.attributes) ? character.attributes : {}) },
+          attributePoints: isObject(character?.attributePoints) ? character.attributePoints : {},
+        },
+        settings: { weekStart: DEFAULT_WEEK_START, ...(isObject(payload.settings) ? payload.settings : {}) },
+        streaks: { ...emptyStreakState, ...(isObject(payload.streaks) ? payload.streaks : {}) },
+        ledger,
+      };
+    },
+  },
+  {
+    version: 2,
+    description: "Add game start, quest modification times and deletion tombstones for tab sync",
+    up: payload => ({
+      ...payload,
+      startedAt: typeof payload.startedAt === "string" ? payload.startedAt : new Date(0).toISOString(),
+      quests: (payload.quests as unknown[]).map(quest =>
+        isObject(quest) ? { updatedAt: quest.createdAt, ...quest } : quest
+      ),
+      tombstones: isObject(payload.tombstones) ? payload.tombstones : {},
+    }),
+  },
+  {
+    version: 3,
+    description: "Add unlocked achievements",
+    up: payload => ({
+      ...payload,
+      achievements: isObject(payload.achievements) ? payload.achievements : {},
+    }),
+  },
+  {
+    version: 4,
+    description: "Add the reminders opt-in setting",
+    up: payload => ({
+      ...payload,
+      settings: { remindersEnabled: false, ...(payload.settings as Payload) },
+    }),
+  },
+  {
+    version: 5,
+    description: "Add team pulse survey responses",
+    up: payload => ({
+      ...payload,
+      pulses: Array.isArray(payload.pulses) ? payload.pulses : [],
+    }),
+  },
+  {
+    version: 6,
+    description: "Add retro history",
+    up: payload => ({
+      ...payload,
+      retros: Array.isArray(payload.retros) ? payload.retros : [],
+    }),
+  },
+  {
+    version: 7,
+    description: "Add completed micro-lessons",
+    up: payload => ({
+      ...payload,
+      lessons: Array.isArray(payload.lessons) ? payload.lessons : [],
+    }),
+  },
+  {
+    version: 8,
+    description: "Add the editable domain registry, starting from the three built-in domains",
+    up: payload => ({
+      ...payload,
+      domains: Array.isArray(payload.domains) ? payload.domains : DEFAULT_DOMAINS,
+    }),
+  },
+  {
+    version: 9,
+    description: "Add household party members",
+    up: payload => ({
+      ...payload,
+      party: Array.isArray(payload.party) ? payload.party : [],
+    }),
+  },
+  {
+    version: 10,
+    description: "Add the user's own quest template packs",
+    up: payload => ({
+      ...payload,
+      templates: Array.isArray(payload.templates) ? payload.templates : [],
+    }),
+  },
+];
+
+// Structural checks on a fully migrated payload
+export function validateSave(payload: Payload): string[] {
+  const problems: string[] = [];
+
+  if (payload.name !== null && typeof payload.name !== "string") problems.push("name must be a string");
+
+  if (!Array.isArray(payload.quests)) {
+    problems.push("quests must be a list");
+  } else {
+    payload.quests.forEach((quest, index) => {
+      if (
+        !isObject(quest) ||
+        typeof quest.id !== "string" ||
+        typeof quest.title !== "string" ||
+        typeof quest.domain !== "string" ||
+        !["daily", "weekly", "once"].includes(quest.cadence as string) ||
+        typeof quest.xp !== "number" ||
+        // Quests that were never completed may have no history yet
+        (quest.history !== undefined && !Array.isArray(quest.history))
+      ) {
+        problems.push(`quest #${index + 1} is malformed`);
+      }
+    });
+  }
+
+  const character = payload.character;
+  if (!isObject(character) || typeof character.name !== "string" || !isObject(character.attributes)) {
+    problems.push("character is malformed");
+  }
+
+  if (!Array.isArray(payload.ledger) || payload.ledger.some(entry => !isObject(entry) || typeof entry.amount !== "number")) {
+    problems.push("XP ledger is malformed");
+  }
+
+  if (!isObject(payload.settings) || !isObject(payload.streaks)) {
+    problems.push("settings or streaks are missing");
+  }
+
+  if (typeof payload.startedAt !== "string" || !isObject(payload.tombstones)) {
+    problems.push("sync metadata is missing");
+  }
+
+  if (!isObject(payload.achievements)) problems.push("achievements are missing");
+
+  if (!Array.isArray(payload.pulses) || payload.pulses.some(pulse => !isObject(pulse) || !isObject(pulse.scores))) {
+    problems.push("pulse survey responses are malformed");
+  }
+
+  if (!Array.isArray(payload.retros) || payload.retros.some(retro => !isObject(retro) || !Array.isArray(retro.actions))) {
+    problems.push("retro history is malformed");
+  }
+
+  if (!Array.isArray(payload.lessons) || payload.lessons.some(lesson => !isObject(lesson) || typeof lesson.lessonId !== "string")) {
+    problems.push("lesson history is malformed");
+  }
+
+  if (
+    !Array.isArray(payload.domains) ||
+    payload.domains.length === 0 ||
+    payload.domains.some(domain => !isObject(domain) || typeof domain.id !== "string" || typeof domain.name !== "string")
+  ) {
+    problems.push("domain registry is malformed");
+  }
+
+  if (!Array.isArray(payload.party) || payload.party.some(member => !isObject(member) || typeof member.id !== "string")) {
+    problems.push("party members are malformed");
+  }
+
+  if (
+    !Array.isArray(payload.templates) ||
+    payload.templates.some(pack => !isObject(pack) || typeof pack.id !== "string" || !Array.isArray(pack.templates))
+  ) {
+    problems.push("template packs are malformed");
+  }
+
+  return problems;
+}
+
+// Upgrade a stored payload of any known version to the current GameSave
+export function migrateSave(raw: unknown): GameSave {
+  if (!isObject(raw)) throw new SchemaError("Saved game is not an object");
+
+  const from = typeof raw.version === "number" ? raw.version : 0;
+  if (from > SCHEMA_VERSION) {
+    throw new SchemaError(`Saved game is from a newer version (${from}) of the app`);
+  }
+
+  let payload = raw;
+  for (const migration of migrations) {
+    if (migration.version > from) {
+      payload = { ...migration.up(payload), version: migration.version };
+    }
+  }
+
+  const problems = validateSave(payload);
+  if (problems.length > 0) throw new SchemaError("Saved game failed validation", problems);
+
+  return payload as unknown as GameSave;
+}
@@ -0,0 +1,88 @@
+import type { GameSave, Quest } from "../types";
+
+const CHANNEL_NAME = "dnd-life-sync";
+
+type SyncMessage = { type: "save"; tabId: string; save: GameSave };
+
+const questTime = (quest: Quest) => quest.updatedAt ?? quest.createdAt;
+
+// Union of two append-only lists, ordered by `key`
+function mergeById<T extends { id: string }>(local: T[], remote: T[], key: (item: T) => string) {
+  const items = new Map<string, T>();
+  for (const item of [...local, ...remote]) items.set(item.id, item);
+  return [...items.values()].sort((a, b) => key(a).localeCompare(key(b)));
+}
+
+// Everything that matters for equality, ignoring save bookkeeping
+export function saveContent(save: GameSave) {
+  return JSON.stringify({ ...save, version: undefined, updatedAt: undefined });
+}
+
+// Merge a save from another tab into ours.
+// - A game started later (after a reset) replaces the other one wholesale.
+// - Quests merge one by one; the most recently modified copy wins, and a
+//   deletion wins over any modification made before it.
+// - The XP ledger, pulse responses, retros and lessons are append-only, so
+//   entries from both sides are kept.
+// - Achievements stay unlocked, at the earliest time either side saw.
+// - Everything else comes from whichever save was written last.
+export function mergeSaves(local: GameSave, remote: GameSave): GameSave {
+  if (local.startedAt !== remote.startedAt) {
+    return remote.startedAt > local.startedAt ? remote : local;
+  }
+
+  const remoteIsNewer = (remote.updatedAt ?? "") >= (local.updatedAt ?? "");
+  const newer = remoteIsNewer ? remote : local;
+  const tombstones = { ...remote.tombstones };
+  for (const [id, deletedAt] of Object.entries(local.tombstones)) {
+    if (!tombstones[id] || deletedAt > tombstones[id]) tombstones[id] = deletedAt;
+  }
+
+  const byId = new Map<string, Quest>();
+  for (const quest of [...local.quests, ...remote.quests]) {
+    const existing = byId.get(quest.id);
+    if (!existing || questTime(quest) > questTime(existing)) byId.set(quest.id, quest);
+  }
+
+  // Keep the order of the newer save, then anything only the other side has
+  const order = [...newer.quests, ...(remoteIsNewer ? local : remote).quests].map(quest => quest.id);
+  const quests = [...new Set(order)]
+    .map(id => byId.get(id) as Quest)
+    .filter(quest => !(tombstones[quest.id] && tombstones[quest.id] >= questTime(quest)));
+
+  const ledger = mergeById(local.ledger, remote.ledger, entry => entry.timestamp);
+  const pulses = mergeById(local.pulses, remote.pulses, pulse => pulse.submittedAt);
+  const retros = mergeById(local.retros, remote.retros, retro => retro.finishedAt);
+  const lessons = mergeById(local.lessons, remote.lessons, lesson => lesson.completedAt);
+
+  const achievements = { ...remote.achievements };
+  for (const [id, unlockedAt] of Object.entries(local.achievements)) {
+    if (!achievements[id] || unlockedAt < achievements[id]) achievements[id] = unlockedAt;
+  }
+
+  return { ...newer, quests, ledger, tombstones, achievements, pulses, retros, lessons };
+}
+
+// Broadcasts saves to other tabs of the same origin. Returns null where
+// BroadcastChannel isn't available, in which case tabs don't sync.
+export function createSyncChannel(onRemoteSave: (save: GameSave) => void) {
+  if (typeof BroadcastChannel === "undefined") return null;
+
+  const tabId = Math.random().toString(36).slice(2);
+  const channel = new BroadcastChannel(CHANNEL_NAME);
+
+  channel.onmessage = (event: MessageEvent<SyncMessage>) => {
+    if (event.data?.type === "save" && event.data.tabId !== tabId) {
+      onRemoteSave(event.data.save);
+    }
+  };
+
+  return {
+    publish(save: GameSave) {
+      channel.postMessage({ type: "save", tabId, save } satisfies SyncMessage);
+    },
+    close() {
+      channel.close();
+    },
+  };
+}
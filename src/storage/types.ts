@@ -0,0 +1,41 @@
+export type StorageAdapterKind = "local" | "indexeddb" | "http";
+
+// "current" is the live save; "backup" the last save that loaded cleanly;
+// "corrupt" keeps a payload that failed to load so it can be recovered by hand
+export type SaveSlot = "current" | "backup" | "corrupt";
+
+// Persistence backend for useGameData. `load` resolves to null when nothing
+// has been saved yet; a save that exists but can't be read rejects instead.
+// Payloads are unknown until they have been migrated and validated.
+export interface StorageAdapter {
+  kind: StorageAdapterKind;
+  load(slot?: SaveSlot): Promise<unknown>;
+  save(save: unknown, slot?: SaveSlot): Promise<void>;
+  clear(): Promise<void>;
+}
+
+export type StorageConfig =
+  | { adapter: "local" }
+  | { adapter: "indexeddb"; databaseName?: string }
+  | { adapter: "http"; baseUrl: string };
+
+export class StorageError extends Error {
+  cause?: unknown;
+
+  constructor(message: string, cause?: unknown) {
+    super(message);
+    this.name = "StorageError";
+    this.cause = cause;
+  }
+}
+
+// A save exists but can't be parsed; `raw` is kept so it can be stashed
+export class CorruptSaveError extends StorageError {
+  raw: unknown;
+
+  constructor(message: string, raw: unknown, cause?: unknown) {
+    super(message, cause);
+    this.name = "CorruptSaveError";
+    this.raw = raw;
+  }
+}
@@ -2,6 +2,7 @@ import dbConnection from './config/database.js';
 import CRUDOperations from './services/crudOperations.js';
 import TransactionService from './services/transactionService.js';
 import AggregationExamples from './services/aggregationExamples.js';
+import ReportService from './services/reportService.js';
 
 /**
  * Comprehensive test suite for MongoDB operations
@@ -13,6 +14,7 @@ class MongoDBTest {
     this.orders = new CRUDOperations('orders');
     this.transactionService = new TransactionService();
     this.aggregationExamples = new AggregationExamples();
+    this.reportService = new ReportService();
   }
 
   /**
@@ -284,6 +286,14 @@ class MongoDBTest {
     const inventory = await this.aggregationExamples.getInventoryAnalysis();
     console.log(`    ✅ Generated inventory analysis for ${inventory.length} categories`);
 
+    // Test the sales report served to the dashboard
+    console.log('  Testing sales report...');
+    const report = await this.reportService.getSalesReport(6, 3);
+    if (!Array.isArray(report.trends) || report.products.length > 3 || report.months !== 6) {
+      throw new Error('Sales report has an unexpected shape');
+    }
+    console.log(`    ✅ Generated sales report with ${report.trends.length} months and ${report.products.length} products`);
+
     console.log('✅ Aggregation operations test completed\n');
   }
 
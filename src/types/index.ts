@@ -1,4 +1,50 @@
-export type Domain = "personal" | "ceo" | "family";
+// Id of a domain in the user's registry; see config/domains.ts for the defaults
+export type Domain = string;
+
+// Day index the week starts on (0 = Sunday ... 6 = Saturday)
+export type WeekStart = 0 | 1 | 2 | 3 | 4 | 5 | 6;
+
+export type AttributeName = "empathy" | "discipline" | "strategy" | "communication";
+
+// Sparse per-attribute numbers: quest weights, points gained, points earned
+export type AttributeValues = Partial<Record<AttributeName, number>>;
+
+export type DomainColor = "green" | "blue" | "purple" | "orange" | "pink" | "teal" | "amber" | "slate";
+
+// A user-editable life domain quests belong to
+export type DomainDefinition = {
+  id: Domain;
+  name: string;
+  color: DomainColor;
+  // Key into DOMAIN_ICONS
+  icon: string;
+  // Attribute weights for quests that don't choose their own
+  attributes: AttributeValues;
+};
+
+export type Difficulty = "easy" | "medium" | "hard" | "epic";
+
+export type Priority = "low" | "medium" | "high";
+
+export type CompletionRecord = {
+  period: string;
+  completedAt: string;
+  xp?: number;
+  attributes?: AttributeValues;
+  // Party members who shared the credit; two or more make it a joint completion
+  members?: string[];
+};
+
+export type QuestStep = {
+  id: string;
+  title: string;
+  xp: number;
+  completedAt?: string;
+  // XP the step granted when it was completed, taken back if it's unchecked
+  awardedXp?: number;
+  // Party members that XP went to; unset means the player alone
+  awardedTo?: string[];
+};
 
 export type Quest = {
   id: string;
@@ -8,17 +54,255 @@ export type Quest = {
   cadence: "daily" | "weekly" | "once";
   xp: number;
   completed: boolean;
+  difficulty?: Difficulty;
+  priority?: Priority;
+  estimatedMinutes?: number;
+  // Local calendar date (YYYY-MM-DD) and optional time (HH:MM) a one-off quest is due
+  dueDate?: string;
+  dueTime?: string;
+  // Time of day (HH:MM) a recurring quest is best done at
+  preferredTime?: string;
+  // Free-form labels for filtering, lower-case
+  tags?: string[];
+  // UID of the calendar event this quest was imported from
+  calendarEventId?: string;
   createdAt: string;
+  updatedAt?: string;
+  archivedAt?: string;
+  attributes?: AttributeValues;
+  history?: CompletionRecord[];
+  // Ordered sub-steps; the quest completes (and pays `xp` as a bonus) when all are done
+  steps?: QuestStep[];
+  // Ids of quests that must be done before this one unlocks
+  prerequisites?: string[];
+  // Party members (PLAYER_ID for the player) who share its credit; unset means the player alone
+  assignees?: string[];
+  // Id of the template pack this quest was installed from
+  templatePackId?: string;
+  // Id of the retro whose action item this quest was made from
+  retroId?: string;
+};
+
+// Fields that can be edited after a quest has been created
+export type QuestChanges = Partial<
+  Pick<
+    Quest,
+    | "title"
+    | "description"
+    | "domain"
+    | "cadence"
+    | "xp"
+    | "steps"
+    | "prerequisites"
+    | "dueDate"
+    | "dueTime"
+    | "preferredTime"
+    | "tags"
+    | "priority"
+    | "assignees"
+  >
+>;
+
+// Another household member playing alongside the player on this save
+export type PartyMember = {
+  id: string;
+  name: string;
+  joinedAt: string;
 };
 
 export type Character = {
   name: string;
   level: number;
   xp: number;
-  attributes: { 
-    empathy: number; 
-    discipline: number; 
-    strategy: number; 
-    communication: number;
+  attributes: Record<AttributeName, number>;
+  attributePoints?: AttributeValues;
+};
+
+export type XPReason =
+  | "quest_completed"
+  | "quest_uncompleted"
+  | "step_completed"
+  | "step_uncompleted"
+  | "opening_balance"
+  | "retro_completed"
+  | "lesson_completed"
+  | "history_restored";
+
+// One append-only entry per XP award (positive) or revocation (negative)
+export type XPLedgerEntry = {
+  id: string;
+  questId?: string;
+  amount: number;
+  timestamp: string;
+  reason: XPReason;
+  note?: string;
+  // Party members credited with the award; unset means the player alone
+  memberIds?: string[];
+};
+
+// Tunables for deterministic XP; see config/xpRules.ts
+export type XPRulesConfig = {
+  base: number;
+  min: number;
+  max: number;
+  difficulty: Record<Difficulty, number>;
+  cadence: Record<Quest["cadence"], number>;
+  // Domains not listed here use a multiplier of 1
+  domain: Partial<Record<Domain, number>>;
+  // Extra XP per estimated minute, counted up to `maxMinutes`
+  perMinute: number;
+  maxMinutes: number;
+  bonuses: {
+    firstCompletion: number;
+    // Added to the multiplier per period of the quest's current streak
+    perStreakPeriod: number;
+    maxStreakBonus: number;
+  };
+};
+
+export type Streak = {
+  current: number;
+  longest: number;
+};
+
+export type StreakSummary = {
+  global: Streak;
+  domains: Partial<Record<Domain, Streak>>;
+  quests: Record<string, Streak>;
+};
+
+// Persisted streak bookkeeping: freeze tokens and longest-streak records
+// that must survive quests being removed from the list
+export type StreakState = {
+  freezes: number;
+  frozenDays: string[];
+  lastFreezeAwardedOn?: string;
+  longest: {
+    global: number;
+    domains: Partial<Record<Domain, number>>;
+    quests: Record<string, number>;
   };
-};
\ No newline at end of file
+};
+
+export type Settings = {
+  weekStart: WeekStart;
+  // Opt-in browser notifications for timed quests
+  remindersEnabled: boolean;
+  // Domains the dashboard uses for retro action quests and family events;
+  // unset (or no longer registered) falls back to DASHBOARD_DOMAINS
+  workDomain?: Domain;
+  familyDomain?: Domain;
+};
+
+// Declarative unlock conditions, evaluated by utils/achievements.ts
+export type AchievementRule =
+  | {
+      type: "completions";
+      count: number;
+      domain?: Domain;
+      cadence?: Quest["cadence"];
+      // Count within a single day or week instead of all time
+      within?: "day" | "week";
+    }
+  | { type: "level"; level: number }
+  | { type: "streak"; days: number; domain?: Domain }
+  | { type: "attribute"; attribute: AttributeName; level: number }
+  | { type: "totalXP"; amount: number };
+
+export type Achievement = {
+  id: string;
+  title: string;
+  description: string;
+  tier: "bronze" | "silver" | "gold";
+  rule: AchievementRule;
+};
+
+// One answer to the team pulse survey: a 1-5 score per question
+export type PulseResponse = {
+  id: string;
+  submittedAt: string;
+  scores: Record<string, number>;
+  note?: string;
+};
+
+export type RetroPhase = "went_well" | "went_badly" | "actions";
+
+// A finished retrospective and the quests its action items became
+export type Retro = {
+  id: string;
+  startedAt: string;
+  finishedAt: string;
+  notes: Record<RetroPhase, string>;
+  actions: { text: string; questId?: string }[];
+  xp: number;
+};
+
+// A micro-lesson from a JSON lesson pack (src/content/lessons)
+export type Lesson = {
+  id: string;
+  title: string;
+  minutes: number;
+  attribute: AttributeName;
+  steps: string[];
+  reflection: string;
+};
+
+export type LessonPack = {
+  id: string;
+  title: string;
+  lessons: Lesson[];
+};
+
+// A quest blueprint in a template pack (src/content/templates, or saved by the user)
+export type QuestTemplate = {
+  title: string;
+  description?: string;
+  domain: Domain;
+  cadence: Quest["cadence"];
+  xp: number;
+  difficulty?: Difficulty;
+  estimatedMinutes?: number;
+  attributes?: AttributeValues;
+  tags?: string[];
+};
+
+export type TemplatePack = {
+  id: string;
+  title: string;
+  description: string;
+  templates: QuestTemplate[];
+  // Set on packs the user saved or imported; built-in packs ship with the app
+  createdAt?: string;
+};
+
+export type LessonCompletion = {
+  id: string;
+  lessonId: string;
+  completedAt: string;
+  reflection?: string;
+};
+
+// Everything useGameData persists, as handed to a storage adapter
+export type GameSave = {
+  version: number;
+  // When this game was started; a reset starts a new game that supersedes it
+  startedAt: string;
+  updatedAt?: string;
+  name: string | null;
+  quests: Quest[];
+  domains: DomainDefinition[];
+  character: Character;
+  settings: Settings;
+  streaks: StreakState;
+  ledger: XPLedgerEntry[];
+  // Deleted quest ids and when they were deleted, so deletions sync across tabs
+  tombstones: Record<string, string>;
+  // Unlocked achievement ids and when they were unlocked
+  achievements: Record<string, string>;
+  pulses: PulseResponse[];
+  retros: Retro[];
+  lessons: LessonCompletion[];
+  party: PartyMember[];
+  // Template packs the user saved from their own quests or imported
+  templates: TemplatePack[];
+};
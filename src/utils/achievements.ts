@@ -0,0 +1,68 @@
+import type {
+  Achievement,
+  AchievementRule,
+  Character,
+  Quest,
+  StreakSummary,
+  WeekStart,
+  XPLedgerEntry,
+} from "../types";
+import { dateKey, periodKey } from "./cadence";
+import { ledgerTotal } from "./ledger";
+
+export type AchievementContext = {
+  quests: Quest[];
+  character: Character;
+  ledger: XPLedgerEntry[];
+  streaks: StreakSummary;
+  weekStart: WeekStart;
+};
+
+// Largest number of matching completions in any single day, week or overall
+function completionCount(rule: Extract<AchievementRule, { type: "completions" }>, context: AchievementContext) {
+  const buckets = new Map<string, number>();
+
+  for (const quest of context.quests) {
+    if (rule.domain && quest.domain !== rule.domain) continue;
+    if (rule.cadence && quest.cadence !== rule.cadence) continue;
+
+    for (const record of quest.history ?? []) {
+      const date = new Date(record.completedAt);
+      const bucket =
+        rule.within === "day"
+          ? dateKey(date)
+          : rule.within === "week"
+            ? periodKey("weekly", date, context.weekStart)
+            : "all";
+      buckets.set(bucket, (buckets.get(bucket) ?? 0) + 1);
+    }
+  }
+
+  return Math.max(0, ...buckets.values());
+}
+
+export function isRuleMet(rule: AchievementRule, context: AchievementContext) {
+  switch (rule.type) {
+    case "completions":
+      return completionCount(rule, context) >= rule.count;
+    case "level":
+      return context.character.level >= rule.level;
+    case "streak": {
+      const streak = rule.domain ? context.streaks.domains[rule.domain] : context.streaks.global;
+      return (streak?.longest ?? 0) >= rule.days;
+    }
+    case "attribute":
+      return context.character.attributes[rule.attribute] >= rule.level;
+    case "totalXP":
+      return ledgerTotal(context.ledger) >= rule.amount;
+  }
+}
+
+// Achievements whose rule is met now but that haven't been unlocked yet
+export function newlyUnlocked(
+  achievements: Achievement[],
+  context: AchievementContext,
+  unlocked: Record<string, string>
+) {
+  return achievements.filter(achievement => !unlocked[achievement.id] && isRuleMet(achievement.rule, context));
+}
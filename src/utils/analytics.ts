@@ -0,0 +1,132 @@
+import type { Domain, Quest, WeekStart, XPLedgerEntry } from "../types";
+import { ANALYTICS } from "../config/analytics";
+import { dateKey, periodKey, startOfDay, startOfWeek } from "./cadence";
+import { calculateLevel } from "./game";
+
+export type WeekXP = {
+  // First day of the week, YYYY-MM-DD
+  week: string;
+  domains: Record<Domain, number>;
+};
+
+const emptyDomains = (domains: Domain[]) =>
+  Object.fromEntries(domains.map(domain => [domain, 0])) as Record<Domain, number>;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Net quest XP per registered domain for each of the last `weeks` weeks, oldest
+// first. XP from deleted quests or unregistered domains is left out.
+export function weeklyDomainXP(
+  ledger: XPLedgerEntry[],
+  quests: Quest[],
+  domains: Domain[],
+  now: Date,
+  weekStart: WeekStart,
+  weeks = ANALYTICS.weeks
+): WeekXP[] {
+  const domainOf = new Map(quests.map(quest => [quest.id, quest.domain]));
+  const current = startOfWeek(now, weekStart);
+
+  const result = Array.from({ length: weeks }, (_, index) => {
+    const start = new Date(current);
+    start.setDate(start.getDate() - 7 * (weeks - 1 - index));
+    return { week: dateKey(start), domains: emptyDomains(domains) };
+  });
+  const byWeek = new Map(result.map(item => [item.week, item.domains]));
+
+  for (const entry of ledger) {
+    const domain = entry.questId ? domainOf.get(entry.questId) : undefined;
+    const totals = byWeek.get(dateKey(startOfWeek(new Date(entry.timestamp), weekStart)));
+    if (domain && totals && domain in totals) totals[domain] += entry.amount;
+  }
+
+  for (const item of result) {
+    for (const domain of domains) item.domains[domain] = Math.max(0, item.domains[domain]);
+  }
+  return result;
+}
+
+export type CadenceRate = { completed: number; possible: number; rate: number | null };
+
+// Share of periods in which recurring quests were completed, counted from
+// each quest's creation over a recent window; one-off quests count once
+export function completionRates(quests: Quest[], now: Date, weekStart: WeekStart) {
+  const rates: Record<Quest["cadence"], CadenceRate> = {
+    daily: { completed: 0, possible: 0, rate: null },
+    weekly: { completed: 0, possible: 0, rate: null },
+    once: { completed: 0, possible: 0, rate: null },
+  };
+
+  for (const quest of quests.filter(quest => !quest.archivedAt)) {
+    const rate = rates[quest.cadence];
+
+    if (quest.cadence === "once") {
+      rate.possible += 1;
+      if (quest.completed) rate.completed += 1;
+      continue;
+    }
+
+    const daily = quest.cadence === "daily";
+    const windowStart = daily
+      ? startOfDay(new Date(now.getTime() - (ANALYTICS.rateWindowDays - 1) * DAY_MS))
+      : startOfWeek(new Date(now.getTime() - (ANALYTICS.rateWindowWeeks - 1) * 7 * DAY_MS), weekStart);
+    const created = daily ? startOfDay(new Date(quest.createdAt)) : startOfWeek(new Date(quest.createdAt), weekStart);
+    const from = created > windowStart ? created : windowStart;
+    const periodMs = (daily ? 1 : 7) * DAY_MS;
+    const current = daily ? startOfDay(now) : startOfWeek(now, weekStart);
+
+    const periods = Math.round((current.getTime() - from.getTime()) / periodMs) + 1;
+    const done = new Set(
+      (quest.history ?? [])
+        .filter(record => new Date(record.completedAt) >= from)
+        .map(record => periodKey(quest.cadence, new Date(record.completedAt), weekStart))
+    );
+
+    rate.possible += Math.max(1, periods);
+    rate.completed += done.size;
+  }
+
+  for (const rate of Object.values(rates)) {
+    rate.rate = rate.possible > 0 ? rate.completed / rate.possible : null;
+  }
+  return rates;
+}
+
+export type LevelPoint = { date: string; totalXP: number; level: number };
+
+// Total XP and level at the end of each day XP changed
+export function levelTimeline(ledger: XPLedgerEntry[]): LevelPoint[] {
+  const sorted = [...ledger].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  const points = new Map<string, LevelPoint>();
+  let total = 0;
+
+  for (const entry of sorted) {
+    total += entry.amount;
+    const date = dateKey(new Date(entry.timestamp));
+    const totalXP = Math.max(0, total);
+    points.set(date, { date, totalXP, level: calculateLevel(totalXP, 1).level });
+  }
+
+  return [...points.values()];
+}
+
+// Each domain's share of recent XP, and the domains falling behind
+export function domainBalance(weeks: WeekXP[], domains: Domain[]) {
+  const recent = weeks.slice(-ANALYTICS.balanceWeeks);
+  const totals = emptyDomains(domains);
+  for (const week of recent) {
+    for (const domain of domains) totals[domain] += week.domains[domain] ?? 0;
+  }
+
+  const sum = domains.reduce((total, domain) => total + totals[domain], 0);
+  const shares = Object.fromEntries(
+    domains.map(domain => [domain, sum > 0 ? totals[domain] / sum : 0])
+  ) as Record<Domain, number>;
+  const threshold = domains.length > 0 ? ANALYTICS.neglectRatio / domains.length : 0;
+
+  return {
+    shares,
+    threshold,
+    neglected: sum > 0 ? domains.filter(domain => shares[domain] < threshold) : [],
+  };
+}
@@ -0,0 +1,85 @@
+import type { AttributeName, AttributeValues, Character, DomainDefinition, Quest } from "../types";
+
+export const ATTRIBUTES: { key: AttributeName; label: string }[] = [
+  { key: "empathy", label: "Empathy" },
+  { key: "discipline", label: "Discipline" },
+  { key: "strategy", label: "Strategy" },
+  { key: "communication", label: "Communication" },
+];
+
+// Attribute levels every character starts from
+export const BASE_ATTRIBUTES: Record<AttributeName, number> = {
+  empathy: 3,
+  discipline: 3,
+  strategy: 2,
+  communication: 3,
+};
+
+export const ATTRIBUTE_MILESTONES = [
+  { level: 5, title: "Apprentice" },
+  { level: 8, title: "Adept" },
+  { level: 12, title: "Expert" },
+  { level: 16, title: "Master" },
+];
+
+// Points -> attribute level (same shape as xpForNextLevel, on a smaller scale)
+export function pointsForNextAttributeLevel(level: number) {
+  return 50 + (level - 1) * 25;
+}
+
+// Attribute level reached from its base level with the given points
+export function calculateAttributeLevel(baseLevel: number, points: number) {
+  let remaining = Math.max(0, points);
+  let level = baseLevel;
+
+  while (remaining >= pointsForNextAttributeLevel(level)) {
+    remaining -= pointsForNextAttributeLevel(level);
+    level += 1;
+  }
+
+  return { level, points: remaining };
+}
+
+// The quest's own weights, else its domain's defaults from the registry
+export function questAttributeWeights(quest: Pick<Quest, "domain" | "attributes">, domains: DomainDefinition[]) {
+  const own = quest.attributes ?? {};
+  return Object.values(own).some(weight => (weight ?? 0) > 0)
+    ? own
+    : domains.find(domain => domain.id === quest.domain)?.attributes ?? {};
+}
+
+export function attributeLabels(quest: Pick<Quest, "domain" | "attributes">, domains: DomainDefinition[]) {
+  const weights = questAttributeWeights(quest, domains);
+  return ATTRIBUTES.filter(({ key }) => (weights[key] ?? 0) > 0).map(({ label }) => label);
+}
+
+// Split the quest's XP across its weighted attributes
+export function attributeGain(
+  quest: Pick<Quest, "domain" | "attributes" | "xp">,
+  domains: DomainDefinition[]
+): AttributeValues {
+  const weights = questAttributeWeights(quest, domains);
+  const total = Object.values(weights).reduce((sum: number, weight) => sum + (weight ?? 0), 0);
+  const gain: AttributeValues = {};
+
+  for (const { key } of ATTRIBUTES) {
+    const weight = weights[key] ?? 0;
+    if (weight > 0) gain[key] = Math.max(1, Math.round((quest.xp * weight) / total));
+  }
+
+  return gain;
+}
+
+// Add (sign = 1) or take back (sign = -1) attribute points and re-derive levels
+export function applyAttributeGain(character: Character, gain: AttributeValues, sign: 1 | -1 = 1): Character {
+  const attributePoints: AttributeValues = { ...character.attributePoints };
+  const attributes = { ...character.attributes };
+
+  for (const { key } of ATTRIBUTES) {
+    if (!gain[key]) continue;
+    attributePoints[key] = Math.max(0, (attributePoints[key] ?? 0) + sign * (gain[key] ?? 0));
+    attributes[key] = calculateAttributeLevel(BASE_ATTRIBUTES[key], attributePoints[key] ?? 0).level;
+  }
+
+  return { ...character, attributes, attributePoints };
+}
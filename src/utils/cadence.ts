@@ -0,0 +1,163 @@
+import type { AttributeValues, Quest, QuestStep, WeekStart } from "../types";
+
+export const DEFAULT_WEEK_START: WeekStart = 1;
+
+export const WEEKDAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+// Local calendar date as YYYY-MM-DD
+export function dateKey(date: Date) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+export function startOfDay(date: Date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+export function startOfWeek(date: Date, weekStart: WeekStart) {
+  const day = startOfDay(date);
+  day.setDate(day.getDate() - ((day.getDay() - weekStart + 7) % 7));
+  return day;
+}
+
+// Key of the period a completion on `date` counts towards
+export function periodKey(cadence: Quest["cadence"], date: Date, weekStart: WeekStart) {
+  switch (cadence) {
+    case "daily":
+      return dateKey(date);
+    case "weekly":
+      return `week-${dateKey(startOfWeek(date, weekStart))}`;
+    default:
+      return "once";
+  }
+}
+
+// When the current period of a recurring quest ends (null for one-off quests)
+export function nextResetAt(cadence: Quest["cadence"], now: Date, weekStart: WeekStart) {
+  if (cadence === "once") return null;
+
+  const next = cadence === "daily" ? startOfDay(now) : startOfWeek(now, weekStart);
+  next.setDate(next.getDate() + (cadence === "daily" ? 1 : 7));
+  return next;
+}
+
+export function msUntilNextDay(now: Date) {
+  const tomorrow = startOfDay(now);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  return tomorrow.getTime() - now.getTime();
+}
+
+export function lastCompletion(quest: Quest) {
+  const history = quest.history ?? [];
+  return history.length > 0 ? history[history.length - 1] : undefined;
+}
+
+// A completed quest stays completed only within the period it was completed in
+export function isCompletionCurrent(quest: Quest, now: Date, weekStart: WeekStart) {
+  if (quest.cadence === "once") return true;
+
+  const last = lastCompletion(quest);
+  if (!last) return false;
+
+  return (
+    periodKey(quest.cadence, new Date(last.completedAt), weekStart) ===
+    periodKey(quest.cadence, now, weekStart)
+  );
+}
+
+// Steps of a recurring chain start over with each new period
+function resetExpiredSteps(quest: Quest, now: Date, weekStart: WeekStart): Quest {
+  if (quest.cadence === "once" || !quest.steps?.length) return quest;
+
+  const current = periodKey(quest.cadence, now, weekStart);
+  const stale = (step: QuestStep) =>
+    Boolean(step.completedAt) &&
+    periodKey(quest.cadence, new Date(step.completedAt as string), weekStart) !== current;
+  if (!quest.steps.some(stale)) return quest;
+
+  return {
+    ...quest,
+    steps: quest.steps.map(step =>
+      stale(step) ? { ...step, completedAt: undefined, awardedXp: undefined, awardedTo: undefined } : step
+    ),
+  };
+}
+
+// Un-complete recurring quests whose period has rolled over.
+// Returns the same array when nothing changed so state updates stay cheap.
+export function resetExpiredQuests(quests: Quest[], now: Date, weekStart: WeekStart) {
+  let changed = false;
+
+  const next = quests.map(quest => {
+    const reset =
+      !quest.completed || isCompletionCurrent(quest, now, weekStart)
+        ? quest
+        : { ...quest, completed: false };
+    const result = resetExpiredSteps(reset, now, weekStart);
+    if (result !== quest) changed = true;
+    return result;
+  });
+
+  return changed ? next : quests;
+}
+
+export function recordCompletion(
+  quest: Quest,
+  now: Date,
+  weekStart: WeekStart,
+  attributes?: AttributeValues,
+  xp?: number,
+  members?: string[]
+): Quest {
+  const record = {
+    period: periodKey(quest.cadence, now, weekStart),
+    completedAt: now.toISOString(),
+    ...(xp !== undefined && { xp }),
+    ...(attributes && { attributes }),
+    ...(members && { members }),
+  };
+
+  return { ...quest, completed: true, history: [...(quest.history ?? []), record] };
+}
+
+// A forgotten completion on a past local day (YYYY-MM-DD), stamped at noon
+// that day and kept in date order so the latest completion stays last. The
+// quest only shows as completed if that day is in its current period.
+export function recordPastCompletion(
+  quest: Quest,
+  date: string,
+  now: Date,
+  weekStart: WeekStart,
+  attributes?: AttributeValues,
+  xp?: number,
+  members?: string[]
+): Quest {
+  const [year, month, day] = date.split("-").map(Number);
+  const doneAt = new Date(year, month - 1, day, 12);
+  const record = {
+    period: periodKey(quest.cadence, doneAt, weekStart),
+    completedAt: doneAt.toISOString(),
+    ...(xp !== undefined && { xp }),
+    ...(attributes && { attributes }),
+    ...(members && { members }),
+  };
+
+  const history = [...(quest.history ?? []), record].sort((a, b) => a.completedAt.localeCompare(b.completedAt));
+  const completed = quest.completed || record.period === periodKey(quest.cadence, now, weekStart);
+  return { ...quest, completed, history };
+}
+
+// Undo the latest completion; a quest is only ever completed for its current period
+export function revokeCompletion(quest: Quest): Quest {
+  const history = quest.history ?? [];
+  return { ...quest, completed: false, history: history.slice(0, -1) };
+}
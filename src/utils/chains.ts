@@ -0,0 +1,56 @@
+import type { Quest, QuestStep } from "../types";
+
+// A prerequisite counts as done once it has been completed at least once
+export function isQuestDone(quest: Quest) {
+  return quest.completed || (quest.history?.length ?? 0) > 0;
+}
+
+// Prerequisites of `quest` that still block it. Deleted quests don't block.
+export function blockingQuests(quest: Quest, quests: Quest[]) {
+  const byId = new Map(quests.map(q => [q.id, q]));
+  return (quest.prerequisites ?? [])
+    .map(id => byId.get(id))
+    .filter((q): q is Quest => Boolean(q) && !isQuestDone(q as Quest));
+}
+
+export function isLocked(quest: Quest, quests: Quest[]) {
+  return blockingQuests(quest, quests).length > 0;
+}
+
+// True when `prerequisiteId` already depends (directly or not) on `questId`
+export function wouldCreateCycle(questId: string, prerequisiteId: string, quests: Quest[]) {
+  const byId = new Map(quests.map(q => [q.id, q]));
+  const seen = new Set<string>();
+  const stack = [prerequisiteId];
+
+  while (stack.length > 0) {
+    const id = stack.pop() as string;
+    if (id === questId) return true;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    stack.push(...(byId.get(id)?.prerequisites ?? []));
+  }
+
+  return false;
+}
+
+export function hasSteps(quest: Quest): quest is Quest & { steps: QuestStep[] } {
+  return (quest.steps?.length ?? 0) > 0;
+}
+
+export function stepProgress(quest: Quest) {
+  const steps = quest.steps ?? [];
+  const done = steps.filter(step => step.completedAt).length;
+  return { done, total: steps.length, ratio: steps.length === 0 ? 0 : done / steps.length };
+}
+
+// Steps are worked through in order: only the next open step can be checked,
+// and only the last checked one can be unchecked
+export function canToggleStep(quest: Quest, stepId: string) {
+  const steps = quest.steps ?? [];
+  const index = steps.findIndex(step => step.id === stepId);
+  if (index === -1) return false;
+
+  const { done } = stepProgress(quest);
+  return steps[index].completedAt ? index === done - 1 : index === done;
+}
@@ -0,0 +1,12 @@
+// Parse the JSON files of a content folder (from import.meta.glob). Invalid
+// packs are skipped with a warning so one bad file doesn't hide the rest.
+export function loadPacks<T>(files: Record<string, unknown>, parse: (raw: unknown) => T, kind: string): T[] {
+  return Object.entries(files).flatMap(([path, raw]) => {
+    try {
+      return [parse(raw)];
+    } catch (err) {
+      console.warn(`Skipping ${kind} pack ${path}: ${err instanceof Error ? err.message : String(err)}`);
+      return [];
+    }
+  });
+}
@@ -0,0 +1,90 @@
+import type { Domain, DomainDefinition, Quest } from "../types";
+import { ATTRIBUTES } from "./attributes";
+import { DOMAIN_COLORS, DOMAIN_ICONS } from "../config/domains";
+
+export class DomainError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "DomainError";
+  }
+}
+
+export type DomainInput = Omit<DomainDefinition, "id">;
+
+// The registered domain, or a neutral stand-in for ids that are no longer
+// registered (e.g. quests synced from a tab that still had the domain)
+export function domainInfo(domains: DomainDefinition[], id: Domain): DomainDefinition {
+  return (
+    domains.find(domain => domain.id === id) ?? {
+      id,
+      name: id,
+      color: "slate",
+      icon: "tag",
+      attributes: {},
+    }
+  );
+}
+
+// A registered domain for a dashboard card: the one picked in settings,
+// else the default, else the first domain in the registry
+export function resolveDomain(domains: DomainDefinition[], picked: Domain | undefined, fallback: Domain) {
+  const registered = (id: Domain | undefined) => id !== undefined && domains.some(domain => domain.id === id);
+  return registered(picked) ? picked : registered(fallback) ? fallback : domains[0]?.id;
+}
+
+// Domain ids quests use that aren't in the registry, most used first
+export function unregisteredDomains(quests: Quest[], domains: DomainDefinition[]) {
+  const known = new Set(domains.map(domain => domain.id));
+  const counts = new Map<Domain, number>();
+  for (const quest of quests) {
+    if (!known.has(quest.domain)) counts.set(quest.domain, (counts.get(quest.domain) ?? 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([id, count]) => ({ id, count }));
+}
+
+function validateDomain(domains: DomainDefinition[], input: DomainInput, id?: Domain): DomainInput {
+  const name = input.name.trim();
+  if (!name) throw new DomainError("A domain needs a name");
+
+  const lower = name.toLowerCase();
+  if (domains.some(domain => domain.id !== id && domain.name.toLowerCase() === lower)) {
+    throw new DomainError(`There is already a domain called "${name}"`);
+  }
+  if (!Object.hasOwn(DOMAIN_COLORS, input.color)) throw new DomainError(`Unknown color "${input.color}"`);
+  if (!Object.hasOwn(DOMAIN_ICONS, input.icon)) throw new DomainError(`Unknown icon "${input.icon}"`);
+
+  const attributes = Object.fromEntries(
+    ATTRIBUTES
+      .map(({ key }) => [key, Math.max(0, Math.round(input.attributes[key] ?? 0))] as const)
+      .filter(([, weight]) => weight > 0)
+  );
+  if (Object.keys(attributes).length === 0) {
+    throw new DomainError("Pick at least one attribute for the domain's quests to train");
+  }
+
+  return { name, color: input.color, icon: input.icon, attributes };
+}
+
+// Ids are slugs of the first name, kept when the domain is renamed. Ids
+// still used by quests are never reused, so orphaned quests stay apart.
+export function createDomain(domains: DomainDefinition[], quests: Quest[], input: DomainInput): DomainDefinition {
+  const valid = validateDomain(domains, input);
+  const base = valid.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "domain";
+  const taken = new Set([...domains.map(domain => domain.id), ...quests.map(quest => quest.domain)]);
+
+  let id = base;
+  for (let suffix = 2; taken.has(id); suffix++) id = `${base}-${suffix}`;
+  return { id, ...valid };
+}
+
+export function updateDomain(domains: DomainDefinition[], id: Domain, input: DomainInput) {
+  if (!domains.some(domain => domain.id === id)) throw new DomainError(`Unknown domain "${id}"`);
+  const valid = validateDomain(domains, input, id);
+  return domains.map(domain => (domain.id === id ? { id, ...valid } : domain));
+}
+
+// Move every quest from one domain to another, e.g. before deleting it
+export function reassignQuests(quests: Quest[], from: Domain, to: Domain, now = new Date()) {
+  const updatedAt = now.toISOString();
+  return quests.map(quest => (quest.domain === from ? { ...quest, domain: to, updatedAt } : quest));
+}
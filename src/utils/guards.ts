@@ -0,0 +1,6 @@
+// Type guards for untrusted JSON: saves, content packs and shared files
+
+export const isObject = (value: unknown): value is Record<string, unknown> =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+export const isText = (value: unknown): value is string => typeof value === "string" && value.trim() !== "";
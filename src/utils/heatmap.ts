@@ -0,0 +1,92 @@
+import type { Domain, Quest, WeekStart } from "../types";
+import { dateKey, periodKey, startOfDay, startOfWeek } from "./cadence";
+import { hasSteps } from "./chains";
+import { ANALYTICS } from "../config/analytics";
+
+// Completions laid out GitHub-style: one column per week, one cell per day
+
+export type HeatmapFilter = { domain?: Domain; questId?: string };
+
+export type HeatmapDay = {
+  date: string;
+  completions: { questId: string; title: string }[];
+};
+
+const matches = (quest: Quest, filter: HeatmapFilter) =>
+  (!filter.domain || quest.domain === filter.domain) && (!filter.questId || quest.id === filter.questId);
+
+const localDate = (date: string) => {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// First day the heatmap shows: the start of the week `months` months ago
+export function heatmapStart(now: Date, weekStart: WeekStart, months: number) {
+  const start = startOfDay(now);
+  start.setMonth(start.getMonth() - months);
+  return startOfWeek(start, weekStart);
+}
+
+// Weeks of days up to today; cells after today are null
+export function heatmapWeeks(
+  quests: Quest[],
+  filter: HeatmapFilter,
+  now: Date,
+  weekStart: WeekStart,
+  months: number
+): (HeatmapDay | null)[][] {
+  const byDay = new Map<string, HeatmapDay["completions"]>();
+  for (const quest of quests.filter(quest => matches(quest, filter))) {
+    for (const record of quest.history ?? []) {
+      const day = dateKey(new Date(record.completedAt));
+      byDay.set(day, [...(byDay.get(day) ?? []), { questId: quest.id, title: quest.title }]);
+    }
+  }
+
+  const today = dateKey(now);
+  const weeks: (HeatmapDay | null)[][] = [];
+  for (const cursor = heatmapStart(now, weekStart, months); dateKey(cursor) <= today; ) {
+    const week: (HeatmapDay | null)[] = [];
+    for (let day = 0; day < 7; day++) {
+      const date = dateKey(cursor);
+      week.push(date <= today ? { date, completions: byDay.get(date) ?? [] } : null);
+      cursor.setDate(cursor.getDate() + 1);
+    }
+    weeks.push(week);
+  }
+  return weeks;
+}
+
+// Shade 0-4, relative to the busiest day shown
+export function heatLevel(count: number, max: number) {
+  return count === 0 ? 0 : Math.min(4, Math.ceil((count / Math.max(max, 1)) * 4));
+}
+
+// The earliest day a missed completion can still be filled in for
+export function earliestBackfill(now: Date, days = ANALYTICS.backfillDays) {
+  const earliest = startOfDay(now);
+  earliest.setDate(earliest.getDate() - days);
+  return dateKey(earliest);
+}
+
+// Whether a completion on a past day can still be added: a recurring quest
+// not yet completed in that day's period, on a recent day since the quest was
+// created. Chains complete through their steps and one-off quests are simply
+// checked off, so both are left out.
+export function canBackfill(quest: Quest, date: string, now: Date, weekStart: WeekStart) {
+  if (quest.archivedAt || hasSteps(quest) || quest.cadence === "once") return false;
+  if (date >= dateKey(now) || date < earliestBackfill(now) || date < dateKey(new Date(quest.createdAt))) return false;
+
+  const period = periodKey(quest.cadence, localDate(date), weekStart);
+  return !(quest.history ?? []).some(record => record.period === period);
+}
+
+export function backfillCandidates(
+  quests: Quest[],
+  filter: HeatmapFilter,
+  date: string,
+  now: Date,
+  weekStart: WeekStart
+) {
+  return quests.filter(quest => matches(quest, filter) && canBackfill(quest, date, now, weekStart));
+}
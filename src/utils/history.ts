@@ -0,0 +1,76 @@
+import type { GameSave, XPLedgerEntry } from "../types";
+import { createLedgerEntry } from "./ledger";
+
+// Undo steps kept, oldest dropped first
+export const HISTORY_LIMIT = 30;
+
+// `save` is the whole game as it was before the action (in `past`) or
+// before it was undone (in `future`)
+export type HistoryEntry = {
+  id: string;
+  label: string;
+  at: string;
+  save: GameSave;
+};
+
+export type History = {
+  past: HistoryEntry[];
+  future: HistoryEntry[];
+};
+
+export const emptyHistory: History = { past: [], future: [] };
+
+// A new action makes anything that was undone unreachable
+export function pushHistory(history: History, entry: HistoryEntry): History {
+  return { past: [...history.past, entry].slice(-HISTORY_LIMIT), future: [] };
+}
+
+// Ledger entries can't be removed (other tabs would merge them back), so
+// entries the snapshot doesn't have are reversed and the ones it has that
+// are gone are added back
+function restoreLedger(current: XPLedgerEntry[], snapshot: XPLedgerEntry[], timestamp: string) {
+  const inSnapshot = new Set(snapshot.map(entry => entry.id));
+  const inCurrent = new Set(current.map(entry => entry.id));
+
+  const reversed = current
+    .filter(entry => !inSnapshot.has(entry.id) && entry.amount !== 0)
+    .map(entry => createLedgerEntry(-entry.amount, "history_restored", {
+      questId: entry.questId,
+      note: entry.note,
+      timestamp,
+      memberIds: entry.memberIds,
+    }));
+
+  return [...current, ...reversed, ...snapshot.filter(entry => !inCurrent.has(entry.id))];
+}
+
+// The game as it was in `snapshot`, made to win when tabs merge saves:
+// quests it changes are stamped now, quests it drops get tombstones and a
+// snapshot of another game (before a reset) becomes the newest game
+export function restoreSnapshot(current: GameSave, snapshot: GameSave, now = new Date()): GameSave {
+  const timestamp = now.toISOString();
+
+  if (snapshot.startedAt !== current.startedAt) {
+    return { ...snapshot, startedAt: timestamp };
+  }
+
+  const currentQuests = new Map(current.quests.map(quest => [quest.id, JSON.stringify(quest)]));
+  const quests = snapshot.quests.map(quest =>
+    currentQuests.get(quest.id) === JSON.stringify(quest) ? quest : { ...quest, updatedAt: timestamp }
+  );
+
+  const kept = new Set(quests.map(quest => quest.id));
+  const tombstones = Object.fromEntries(
+    Object.entries({ ...current.tombstones, ...snapshot.tombstones }).filter(([id]) => !kept.has(id))
+  );
+  for (const quest of current.quests) {
+    if (!kept.has(quest.id)) tombstones[quest.id] = timestamp;
+  }
+
+  return {
+    ...snapshot,
+    quests,
+    tombstones,
+    ledger: restoreLedger(current.ledger, snapshot.ledger, timestamp),
+  };
+}
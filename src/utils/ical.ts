@@ -0,0 +1,282 @@
+import type { Domain, Quest, WeekStart } from "../types";
+import { dateKey, startOfDay } from "./cadence";
+import { dueAt, localDateTime } from "./schedule";
+
+// Quests as iCalendar (RFC 5545) events, and calendar events as quests:
+// - daily / weekly quests export as recurring events (RRULE)
+// - one-off quests with a due date export as single events
+// - imported events become one-off quests, keyed by the event's UID
+
+const PRODID = "-//DnD Life//Quests//EN";
+const DEFAULT_EVENT_MINUTES = 30;
+const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+export type CalendarEvent = {
+  uid: string;
+  title: string;
+  description?: string;
+  // Local calendar date (YYYY-MM-DD) and, for timed events, time (HH:MM)
+  date: string;
+  time?: string;
+  durationMinutes?: number;
+};
+
+export class CalendarParseError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "CalendarParseError";
+  }
+}
+
+const pad = (value: number) => String(value).padStart(2, "0");
+
+function formatDate(date: Date) {
+  return dateKey(date).replace(/-/g, "");
+}
+
+// Floating local time: calendar apps show it at the same wall-clock time
+function formatLocalDateTime(date: Date) {
+  return `${formatDate(date)}T${pad(date.getHours())}${pad(date.getMinutes())}00`;
+}
+
+function formatUTC(date: Date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function escapeText(text: string) {
+  return text
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function unescapeText(text: string) {
+  return text.replace(/\\([\\;,nN])/g, (_, char: string) => (char === "n" || char === "N" ? "\n" : char));
+}
+
+// Lines longer than 75 octets are folded onto continuation lines
+function foldLine(line: string) {
+  const encoder = new TextEncoder();
+  const parts: string[] = [];
+  let current = "";
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = encoder.encode(char).length;
+    if (size + charSize > 75) {
+      parts.push(current);
+      current = " ";
+      size = 1;
+    }
+    current += char;
+    size += charSize;
+  }
+
+  parts.push(current);
+  return parts.join("\r\n");
+}
+
+function questEvent(quest: Quest, weekStart: WeekStart, stamp: string): string[] | null {
+  const recurring = quest.cadence !== "once";
+  if (!recurring && !quest.dueDate) return null;
+
+  // Recurring quests start on their first due day after creation
+  const start = recurring
+    ? dueAt(quest, new Date(quest.createdAt), weekStart)
+    : localDateTime(quest.dueDate as string, quest.dueTime);
+  if (!start) return null;
+
+  const time = recurring ? quest.preferredTime : quest.dueTime;
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${quest.id}@dnd-life`,
+    `DTSTAMP:${stamp}`,
+    `SUMMARY:${escapeText(quest.title)}`,
+    ...(quest.description ? [`DESCRIPTION:${escapeText(quest.description)}`] : []),
+    `CATEGORIES:${quest.domain.toUpperCase()}`,
+  ];
+
+  if (time) {
+    const minutes = quest.estimatedMinutes || DEFAULT_EVENT_MINUTES;
+    lines.push(`DTSTART:${formatLocalDateTime(start)}`, `DURATION:PT${minutes}M`);
+  } else {
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(start)}`, `DTEND;VALUE=DATE:${formatDate(end)}`);
+  }
+
+  if (quest.cadence === "daily") lines.push("RRULE:FREQ=DAILY");
+  if (quest.cadence === "weekly") lines.push(`RRULE:FREQ=WEEKLY;BYDAY=${WEEKDAY_CODES[start.getDay()]}`);
+
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+export function questsToICS(quests: Quest[], weekStart: WeekStart, calendarName = "DnD Life quests") {
+  const stamp = formatUTC(new Date());
+  const events = quests
+    .filter(quest => !quest.archivedAt)
+    .map(quest => questEvent(quest, weekStart, stamp))
+    .filter((event): event is string[] => event !== null);
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+    ...events.flat(),
+    "END:VCALENDAR",
+  ];
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+type Property = { name: string; params: Record<string, string>; value: string };
+
+function parseProperty(line: string): Property | null {
+  const colon = line.indexOf(":");
+  if (colon === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colon).split(";");
+  const params = Object.fromEntries(
+    paramParts.map(part => {
+      const [key, value = ""] = part.split("=");
+      return [key.toUpperCase(), value.replace(/^"|"$/g, "")];
+    })
+  );
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// Dates with a trailing Z are UTC; anything else (floating or TZID) is
+// read as local wall-clock time
+function parseDateValue(property: Property) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(property.value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (property.params.VALUE === "DATE" || hours === undefined) {
+    return { date: new Date(Number(year), Number(month) - 1, Number(day)), timed: false };
+  }
+
+  const parts = [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)] as const;
+  return { date: utc ? new Date(Date.UTC(...parts)) : new Date(...parts), timed: true };
+}
+
+function parseDuration(value: string) {
+  const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:\d+S)?)?$/.exec(value.trim());
+  if (!match) return undefined;
+  const [, weeks = "0", days = "0", hours = "0", minutes = "0"] = match;
+  return ((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes);
+}
+
+// The first occurrence of a simple daily / weekly / monthly / yearly rule
+// on or after `from`, or null once the rule has run out
+function nextOccurrence(start: Date, rrule: string, from: Date) {
+  const rule = Object.fromEntries(rrule.split(";").map(part => part.split("=")));
+  const step = Math.max(1, Number(rule.INTERVAL) || 1);
+  const count = rule.COUNT ? Number(rule.COUNT) : Infinity;
+  const until = rule.UNTIL ? parseDateValue({ name: "UNTIL", params: {}, value: rule.UNTIL })?.date : undefined;
+
+  const advance = (date: Date) => {
+    const next = new Date(date);
+    if (rule.FREQ === "DAILY") next.setDate(next.getDate() + step);
+    else if (rule.FREQ === "WEEKLY") next.setDate(next.getDate() + 7 * step);
+    else if (rule.FREQ === "MONTHLY") next.setMonth(next.getMonth() + step);
+    else if (rule.FREQ === "YEARLY") next.setFullYear(next.getFullYear() + step);
+    else return null;
+    return next;
+  };
+
+  let occurrence: Date | null = start;
+  for (let index = 1; occurrence && occurrence < from; index++) {
+    occurrence = index < count ? advance(occurrence) : null;
+  }
+  return occurrence && (!until || occurrence <= until) ? occurrence : null;
+}
+
+function unfold(text: string) {
+  return text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+}
+
+// Events happening today or later; past events are skipped and recurring
+// events are imported as their next occurrence
+export function parseICS(text: string, now = new Date()): CalendarEvent[] {
+  const lines = unfold(text);
+  if (!lines.some(line => line.trim().toUpperCase() === "BEGIN:VCALENDAR")) {
+    throw new CalendarParseError("This file is not an iCalendar (.ics) file");
+  }
+
+  const today = startOfDay(now);
+  const events: CalendarEvent[] = [];
+  let current: Property[] | null = null;
+
+  for (const line of lines) {
+    const upper = line.trim().toUpperCase();
+    if (upper === "BEGIN:VEVENT") {
+      current = [];
+    } else if (upper === "END:VEVENT" && current) {
+      const event = toCalendarEvent(current, today);
+      if (event) events.push(event);
+      current = null;
+    } else if (current) {
+      const property = parseProperty(line);
+      if (property) current.push(property);
+    }
+  }
+
+  return events.sort((a, b) => `${a.date}T${a.time ?? ""}`.localeCompare(`${b.date}T${b.time ?? ""}`));
+}
+
+function toCalendarEvent(properties: Property[], today: Date): CalendarEvent | null {
+  const get = (name: string) => properties.find(property => property.name === name);
+
+  const dtstart = get("DTSTART");
+  const start = dtstart && parseDateValue(dtstart);
+  if (!start || get("STATUS")?.value.toUpperCase() === "CANCELLED") return null;
+
+  const rrule = get("RRULE")?.value;
+  const occurrence = rrule ? nextOccurrence(start.date, rrule, today) : start.date;
+  if (!occurrence || startOfDay(occurrence) < today) return null;
+
+  const dtend = get("DTEND");
+  const end = dtend && parseDateValue(dtend);
+  const duration = get("DURATION");
+  const durationMinutes = duration
+    ? parseDuration(duration.value)
+    : end && start.timed
+      ? Math.round((end.date.getTime() - start.date.getTime()) / 60000)
+      : undefined;
+
+  const uid = get("UID")?.value.trim() || `${get("SUMMARY")?.value ?? "event"}@${dateKey(start.date)}`;
+  const description = get("DESCRIPTION")?.value;
+
+  return {
+    // Recurring events can be imported again for a later occurrence
+    uid: rrule ? `${uid}#${dateKey(occurrence)}` : uid,
+    title: unescapeText(get("SUMMARY")?.value ?? "").trim() || "Untitled event",
+    date: dateKey(occurrence),
+    ...(start.timed && { time: `${pad(occurrence.getHours())}:${pad(occurrence.getMinutes())}` }),
+    ...(description && { description: unescapeText(description).trim() }),
+    ...(durationMinutes && durationMinutes > 0 && { durationMinutes }),
+  };
+}
+
+// The soonest open imported event in a domain, for dashboard cards
+export function nextCalendarEvent(quests: Quest[], domain: Domain, now: Date) {
+  const today = dateKey(now);
+  const time = `${pad(now.getHours())}:${pad(now.getMinutes())}`;
+  return quests
+    .filter(quest =>
+      quest.calendarEventId &&
+      quest.domain === domain &&
+      !quest.completed &&
+      !quest.archivedAt &&
+      quest.dueDate &&
+      (quest.dueDate > today || (quest.dueDate === today && (!quest.dueTime || quest.dueTime >= time)))
+    )
+    .sort((a, b) =>
+      `${a.dueDate}T${a.dueTime ?? "99"}`.localeCompare(`${b.dueDate}T${b.dueTime ?? "99"}`)
+    )[0];
+}
@@ -0,0 +1,48 @@
+import type { Character, XPLedgerEntry, XPReason } from "../types";
+import { uid, nowISO, calculateLevel, xpForNextLevel } from "./game";
+
+export const REASON_LABELS: Record<XPReason, string> = {
+  quest_completed: "Quest completed",
+  quest_uncompleted: "Completion undone",
+  step_completed: "Step completed",
+  step_uncompleted: "Step undone",
+  opening_balance: "Carried over",
+  retro_completed: "Retro finished",
+  lesson_completed: "Lesson finished",
+  history_restored: "Undo / redo",
+};
+
+export function createLedgerEntry(
+  amount: number,
+  reason: XPReason,
+  details: { questId?: string; note?: string; timestamp?: string; memberIds?: string[] } = {}
+): XPLedgerEntry {
+  return {
+    id: uid(),
+    amount,
+    reason,
+    timestamp: details.timestamp ?? nowISO(),
+    ...(details.questId && { questId: details.questId }),
+    ...(details.note && { note: details.note }),
+    ...(details.memberIds && { memberIds: details.memberIds }),
+  };
+}
+
+export function ledgerTotal(ledger: XPLedgerEntry[]) {
+  return ledger.reduce((total, entry) => total + entry.amount, 0);
+}
+
+// Level and in-level XP are never stored on their own: they always come
+// from replaying the ledger, so revocations can take levels away again
+export function levelFromLedger(ledger: XPLedgerEntry[]) {
+  return calculateLevel(Math.max(0, ledgerTotal(ledger)), 1);
+}
+
+// Total XP a pre-ledger character had earned, so old saves keep their level
+export function openingBalance(character: Pick<Character, "level" | "xp">) {
+  let total = character.xp;
+  for (let level = 1; level < character.level; level++) {
+    total += xpForNextLevel(level);
+  }
+  return total;
+}
@@ -0,0 +1,77 @@
+import type { Lesson, LessonCompletion, LessonPack } from "../types";
+import { ATTRIBUTES } from "./attributes";
+import { dateKey } from "./cadence";
+import { isObject, isText } from "./guards";
+
+export class LessonPackError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "LessonPackError";
+  }
+}
+
+function parseLesson(raw: unknown, index: number): Lesson {
+  if (
+    !isObject(raw) ||
+    !isText(raw.id) ||
+    !isText(raw.title) ||
+    !isText(raw.reflection) ||
+    !Array.isArray(raw.steps) ||
+    raw.steps.length === 0 ||
+    !raw.steps.every(isText)
+  ) {
+    throw new LessonPackError(`lesson #${index + 1} needs an id, title, steps and reflection prompt`);
+  }
+
+  if (!ATTRIBUTES.some(({ key }) => key === raw.attribute)) {
+    throw new LessonPackError(`lesson "${raw.id}" has an unknown attribute "${String(raw.attribute)}"`);
+  }
+
+  return {
+    id: raw.id,
+    title: raw.title,
+    minutes: typeof raw.minutes === "number" && raw.minutes > 0 ? raw.minutes : 5,
+    attribute: raw.attribute as Lesson["attribute"],
+    steps: raw.steps,
+    reflection: raw.reflection,
+  };
+}
+
+// Validate a lesson pack read from JSON
+export function parseLessonPack(raw: unknown): LessonPack {
+  if (!isObject(raw) || !isText(raw.id) || !isText(raw.title) || !Array.isArray(raw.lessons)) {
+    throw new LessonPackError("a lesson pack needs an id, title and list of lessons");
+  }
+
+  return { id: raw.id, title: raw.title, lessons: raw.lessons.map(parseLesson) };
+}
+
+// Stable pseudo-random order for a given day
+function daySeed(day: string, id: string) {
+  let hash = 0;
+  for (const char of `${day}:${id}`) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  return hash;
+}
+
+// Today's lesson: the one finished today if there is one, otherwise the
+// lesson finished least recently (never-finished lessons first), so no
+// lesson repeats until every other one has been done
+export function todaysLesson(lessons: Lesson[], log: LessonCompletion[], now: Date) {
+  if (lessons.length === 0) return null;
+
+  const today = dateKey(now);
+  const doneToday = log.find(entry => dateKey(new Date(entry.completedAt)) === today);
+  const finished = doneToday && lessons.find(lesson => lesson.id === doneToday.lessonId);
+  if (finished) return { lesson: finished, completed: true };
+
+  const lastDone = new Map<string, string>();
+  for (const entry of log) {
+    if ((lastDone.get(entry.lessonId) ?? "") < entry.completedAt) lastDone.set(entry.lessonId, entry.completedAt);
+  }
+
+  const [next] = [...lessons].sort((a, b) =>
+    (lastDone.get(a.id) ?? "").localeCompare(lastDone.get(b.id) ?? "") ||
+    daySeed(today, a.id) - daySeed(today, b.id)
+  );
+  return { lesson: next, completed: false };
+}
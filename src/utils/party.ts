@@ -0,0 +1,74 @@
+import type { PartyMember, Quest, XPLedgerEntry } from "../types";
+import { PARTY } from "../config/party";
+import { calculateLevel, uid } from "./game";
+import { ledgerTotal } from "./ledger";
+
+// Member id the player goes by in quest assignees and XP credit
+export const PLAYER_ID = "player";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class PartyError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "PartyError";
+  }
+}
+
+export function createMember(party: PartyMember[], name: string): PartyMember {
+  const trimmed = name.trim();
+  if (!trimmed) throw new PartyError("A party member needs a name");
+  if (party.length >= PARTY.maxMembers) throw new PartyError(`A party has at most ${PARTY.maxMembers} members`);
+  if (party.some(member => member.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new PartyError(`${trimmed} is already in the party`);
+  }
+  return { id: uid(), name: trimmed, joinedAt: new Date().toISOString() };
+}
+
+export function creditedTo(entry: XPLedgerEntry, memberId: string) {
+  return entry.memberIds ? entry.memberIds.includes(memberId) : memberId === PLAYER_ID;
+}
+
+// The XP a member has earned: every member credited with an award gets all of it
+export function memberLedger(ledger: XPLedgerEntry[], memberId: string) {
+  return ledger.filter(entry => creditedTo(entry, memberId));
+}
+
+export function memberStanding(ledger: XPLedgerEntry[], memberId: string) {
+  const total = Math.max(0, ledgerTotal(memberLedger(ledger, memberId)));
+  return { total, ...calculateLevel(total, 1) };
+}
+
+// XP earned through assigned quests, each award counted once however many
+// members shared it
+export function partyPool(ledger: XPLedgerEntry[]) {
+  return Math.max(0, ledgerTotal(ledger.filter(entry => entry.memberIds && entry.memberIds.length > 0)));
+}
+
+// Drop a member from quest assignments; quests left without assignees go
+// back to the player
+export function unassignMember(quests: Quest[], memberId: string, now = new Date()) {
+  const updatedAt = now.toISOString();
+  return quests.map(quest => {
+    if (!quest.assignees?.includes(memberId)) return quest;
+    const assignees = quest.assignees.filter(id => id !== memberId);
+    return { ...quest, assignees: assignees.length > 0 ? assignees : undefined, updatedAt };
+  });
+}
+
+// 0-100 from completions two or more members shared over the recent window,
+// each weighted down linearly with age
+export function relationshipScore(quests: Quest[], now: Date) {
+  const windowMs = PARTY.relationshipWindowDays * DAY_MS;
+  let weight = 0;
+
+  for (const quest of quests) {
+    for (const record of quest.history ?? []) {
+      if ((record.members?.length ?? 0) < 2) continue;
+      const age = now.getTime() - new Date(record.completedAt).getTime();
+      if (age >= 0 && age < windowMs) weight += 1 - age / windowMs;
+    }
+  }
+
+  return Math.round(Math.min(1, weight / PARTY.jointTarget) * 100);
+}
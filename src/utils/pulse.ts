@@ -0,0 +1,19 @@
+import type { PulseResponse } from "../types";
+import { PULSE_SURVEY } from "../config/pulse";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Team morale as a 0-100 percentage from recent pulse responses, or null
+// when nobody has answered within the survey window
+export function moraleScore(pulses: PulseResponse[], now: Date) {
+  const since = now.getTime() - PULSE_SURVEY.windowDays * DAY_MS;
+  const recent = pulses.filter(pulse => new Date(pulse.submittedAt).getTime() >= since);
+  const answers = recent.flatMap(pulse => Object.values(pulse.scores));
+  if (answers.length === 0) return null;
+
+  const average = answers.reduce((sum, score) => sum + score, 0) / answers.length;
+  return {
+    percent: Math.round(((average - 1) / (PULSE_SURVEY.scale - 1)) * 100),
+    responses: recent.length,
+  };
+}
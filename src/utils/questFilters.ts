@@ -0,0 +1,169 @@
+import type { Domain, Priority, Quest, WeekStart } from "../types";
+import { dueAt, dueToday, upcoming } from "./schedule";
+
+export type QuestView = "all" | "today" | "upcoming";
+export type QuestStatus = "all" | "open" | "completed";
+export type QuestSort = "created" | "xp" | "due" | "domain" | "priority";
+
+export type QuestFilters = {
+  search: string;
+  domains: Domain[];
+  cadences: Quest["cadence"][];
+  status: QuestStatus;
+  tags: string[];
+  // Unset until the user picks one, so each view keeps its own order
+  sort?: QuestSort;
+  view: QuestView;
+  archived: boolean;
+};
+
+export const DEFAULT_FILTERS: QuestFilters = {
+  search: "",
+  domains: [],
+  cadences: [],
+  status: "all",
+  tags: [],
+  view: "all",
+  archived: false,
+};
+
+export const CADENCES: Quest["cadence"][] = ["daily", "weekly", "once"];
+export const SORTS: { key: QuestSort; label: string }[] = [
+  { key: "created", label: "Newest first" },
+  { key: "xp", label: "Most XP" },
+  { key: "due", label: "Due soonest" },
+  { key: "domain", label: "Domain" },
+  { key: "priority", label: "Highest priority" },
+];
+export const PRIORITIES: { key: Priority; label: string }[] = [
+  { key: "high", label: "High" },
+  { key: "medium", label: "Medium" },
+  { key: "low", label: "Low" },
+];
+// Query string keys owned by the quest filters
+export const FILTER_PARAMS = ["q", "domain", "cadence", "status", "tag", "sort", "view", "archived"];
+
+const STATUSES: QuestStatus[] = ["all", "open", "completed"];
+const VIEWS: QuestView[] = ["all", "today", "upcoming"];
+
+// Lower-case, trimmed, without a leading #, no duplicates
+export function parseTags(input: string) {
+  const tags = input
+    .split(/[,\s]+/)
+    .map(tag => tag.replace(/^#/, "").trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
+
+export function allTags(quests: Quest[]) {
+  return [...new Set(quests.flatMap(quest => quest.tags ?? []))].sort();
+}
+
+const searchText = (quest: Quest) =>
+  [quest.title, quest.description ?? "", ...(quest.tags ?? [])].join(" ").toLowerCase();
+
+const byCreated = (a: Quest, b: Quest) => b.createdAt.localeCompare(a.createdAt);
+
+// Filters combine with AND. Within a filter, any selected domain or cadence
+// matches, while every selected tag must be present.
+export function filterQuests(quests: Quest[], filters: QuestFilters, now: Date, weekStart: WeekStart) {
+  const terms = filters.search.toLowerCase().split(/\s+/).filter(Boolean);
+  const inView = filters.view === "all" || filters.archived
+    ? null
+    : new Set((filters.view === "today" ? dueToday : upcoming)(quests, now, weekStart).map(quest => quest.id));
+
+  return quests.filter(quest => {
+    if (Boolean(quest.archivedAt) !== filters.archived) return false;
+    if (inView && !inView.has(quest.id)) return false;
+    if (filters.domains.length > 0 && !filters.domains.includes(quest.domain)) return false;
+    if (filters.cadences.length > 0 && !filters.cadences.includes(quest.cadence)) return false;
+    if (filters.status === "open" && quest.completed) return false;
+    if (filters.status === "completed" && !quest.completed) return false;
+    if (filters.tags.some(tag => !quest.tags?.includes(tag))) return false;
+    if (terms.length > 0) {
+      const text = searchText(quest);
+      if (!terms.every(term => text.includes(term))) return false;
+    }
+    return true;
+  });
+}
+
+// Today and Upcoming list quests by due time; everything else newest first
+export function effectiveSort(filters: Pick<QuestFilters, "sort" | "view">): QuestSort {
+  return filters.sort ?? (filters.view === "all" ? "created" : "due");
+}
+
+// Domain sorting follows `domainOrder` (the registry); unregistered domains go last
+export function sortQuests(
+  quests: Quest[],
+  sort: QuestSort,
+  now: Date,
+  weekStart: WeekStart,
+  domainOrder: Domain[] = []
+) {
+  switch (sort) {
+    case "xp":
+      return [...quests].sort((a, b) => b.xp - a.xp || byCreated(a, b));
+    case "domain": {
+      const rank = (domain: Domain) => {
+        const index = domainOrder.indexOf(domain);
+        return index === -1 ? domainOrder.length : index;
+      };
+      return [...quests].sort((a, b) => rank(a.domain) - rank(b.domain) || byCreated(a, b));
+    }
+    case "priority": {
+      // Quests without a priority go last
+      const rank = (quest: Quest) => {
+        const index = PRIORITIES.findIndex(({ key }) => key === quest.priority);
+        return index === -1 ? PRIORITIES.length : index;
+      };
+      return [...quests].sort((a, b) => rank(a) - rank(b) || byCreated(a, b));
+    }
+    case "due": {
+      // Quests without a due date go last
+      const due = new Map(quests.map(quest => [quest.id, dueAt(quest, now, weekStart)?.getTime() ?? Infinity]));
+      return [...quests].sort((a, b) => (due.get(a.id) as number) - (due.get(b.id) as number) || byCreated(a, b));
+    }
+    default:
+      return [...quests].sort(byCreated);
+  }
+}
+
+const pick = <T extends string>(value: string | null, allowed: readonly T[], fallback: T) =>
+  allowed.includes(value as T) ? (value as T) : fallback;
+
+const list = (value: string | null) => (value ? value.split(",").filter(Boolean) : []);
+
+// Only filters that differ from the defaults are written to the URL
+export function filtersToParams(filters: QuestFilters) {
+  const params = new URLSearchParams();
+  if (filters.search) params.set("q", filters.search);
+  if (filters.domains.length > 0) params.set("domain", filters.domains.join(","));
+  if (filters.cadences.length > 0) params.set("cadence", filters.cadences.join(","));
+  if (filters.status !== "all") params.set("status", filters.status);
+  if (filters.tags.length > 0) params.set("tag", filters.tags.join(","));
+  if (filters.sort) params.set("sort", filters.sort);
+  if (filters.view !== "all") params.set("view", filters.view);
+  if (filters.archived) params.set("archived", "1");
+  return params;
+}
+
+export function filtersFromParams(params: URLSearchParams): QuestFilters {
+  const sort = SORTS.find(({ key }) => key === params.get("sort"))?.key;
+  return {
+    search: params.get("q") ?? "",
+    domains: list(params.get("domain")),
+    cadences: list(params.get("cadence")).filter((cadence): cadence is Quest["cadence"] =>
+      CADENCES.includes(cadence as Quest["cadence"])
+    ),
+    status: pick(params.get("status"), STATUSES, "all"),
+    tags: parseTags(list(params.get("tag")).join(",")),
+    ...(sort && { sort }),
+    view: pick(params.get("view"), VIEWS, "all"),
+    archived: params.get("archived") === "1",
+  };
+}
+
+export function isFiltered(filters: QuestFilters) {
+  return filtersToParams({ ...filters, sort: undefined, view: "all", archived: false }).toString() !== "";
+}
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseQuickAdd } from "./quickAdd";
+import { DEFAULT_DOMAINS } from "../config/domains";
+
+// Monday 19 October 2026, mid-morning
+const now = new Date(2026, 9, 19, 10);
+
+test("a recurring quest with XP and a domain tag", () => {
+  assert.deepEqual(parseQuickAdd("call mom every sunday 20xp #family", DEFAULT_DOMAINS, now), {
+    title: "call mom",
+    cadence: "weekly",
+    domain: "family",
+    xp: 20,
+    tags: [],
+    ambiguous: [],
+  });
+});
+
+test("a one-off quest due on a weekday with a priority", () => {
+  assert.deepEqual(parseQuickAdd("prep board deck by friday !high", DEFAULT_DOMAINS, now), {
+    title: "prep board deck",
+    cadence: "once",
+    dueDate: "2026-10-23",
+    priority: "high",
+    tags: [],
+    ambiguous: [],
+  });
+});
+
+test("once a week and once a day are recurring", () => {
+  assert.equal(parseQuickAdd("review once a week", DEFAULT_DOMAINS, now).cadence, "weekly");
+  assert.equal(parseQuickAdd("stretch once a day", DEFAULT_DOMAINS, now).cadence, "daily");
+  assert.equal(parseQuickAdd("renew passport once", DEFAULT_DOMAINS, now).cadence, "once");
+});
+
+test("once inside a word stays in the title", () => {
+  const parsed = parseQuickAdd("plan once-in-a-lifetime trip", DEFAULT_DOMAINS, now);
+  assert.equal(parsed.title, "plan once-in-a-lifetime trip");
+  assert.equal(parsed.cadence, undefined);
+  assert.equal(parseQuickAdd("one-off call with the lawyer", DEFAULT_DOMAINS, now).cadence, "once");
+});
+
+test("ISO dates that don't exist are left in the title", () => {
+  const parsed = parseQuickAdd("file taxes 2026-02-31", DEFAULT_DOMAINS, now);
+  assert.equal(parsed.dueDate, undefined);
+  assert.equal(parsed.title, "file taxes 2026-02-31");
+  assert.equal(parseQuickAdd("file taxes 2026-02-28", DEFAULT_DOMAINS, now).dueDate, "2026-02-28");
+});
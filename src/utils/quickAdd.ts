@@ -0,0 +1,172 @@
+import type { Domain, DomainDefinition, Priority, Quest } from "../types";
+import { dateKey } from "./cadence";
+import { parseTags } from "./questFilters";
+
+// Free-text quest entry, e.g. "call mom every sunday 20xp #family" or
+// "prep board deck by friday !high". Recognised phrases are taken out of
+// the title; a field given twice with different values is left unset so
+// the form's defaults apply.
+
+export type QuickAddField = "cadence" | "domain" | "xp" | "due" | "time" | "priority";
+
+export type QuickAdd = {
+  title: string;
+  cadence?: Quest["cadence"];
+  domain?: Domain;
+  xp?: number;
+  // Local date (YYYY-MM-DD); one-off quests only
+  dueDate?: string;
+  // HH:MM; the due time of a one-off quest, or the preferred time of a recurring one
+  time?: string;
+  priority?: Priority;
+  tags: string[];
+  ambiguous: QuickAddField[];
+};
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const WEEKDAY = "(sun(?:day)?|mon(?:day)?|tue(?:s|sday)?|wed(?:nesday)?|thu(?:rs?|rsday)?|fri(?:day)?|sat(?:urday)?)";
+
+const PRIORITY_WORDS: Record<string, Priority> = {
+  high: "high",
+  hi: "high",
+  urgent: "high",
+  medium: "medium",
+  med: "medium",
+  low: "low",
+  lo: "low",
+};
+
+const CADENCE_PATTERNS: [RegExp, Quest["cadence"]][] = [
+  [/\b(?:daily|every\s*day|each\s+day|once\s+(?:a|per)\s+day|every\s+(?:morning|evening|night))\b/gi, "daily"],
+  [
+    new RegExp(`\\b(?:weekly|every\\s+week|each\\s+week|once\\s+(?:a|per)\\s+week|every\\s+${WEEKDAY}|on\\s+${WEEKDAY}s)\\b`, "gi"),
+    "weekly",
+  ],
+  // After the recurring patterns, which take "once a week" / "once a day".
+  // A whole word only, so "once-in-a-lifetime trip" keeps its title.
+  [/\s(?:once|one-off)(?=\s)/gi, "once"],
+];
+
+const slug = (text: string) => text.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+// A domain by id or (slugged) name, so "#family" and "#health-fitness" both work
+function findDomain(domains: DomainDefinition[], tag: string) {
+  return domains.find(domain => domain.id === tag || slug(domain.name) === tag)?.id;
+}
+
+function addDays(date: Date, days: number) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+// The next given weekday on or after today; strictly after it for "next friday"
+function weekdayDate(now: Date, weekday: number, strict: boolean) {
+  const ahead = (weekday - now.getDay() + 7) % 7;
+  return addDays(now, ahead === 0 && strict ? 7 : ahead);
+}
+
+function to24Hour(hours: number, minutes: number, meridiem?: string) {
+  if (hours > 23 || minutes > 59 || (meridiem && (hours < 1 || hours > 12))) return undefined;
+  const hour = meridiem ? (hours % 12) + (meridiem.toLowerCase() === "pm" ? 12 : 0) : hours;
+  return `${String(hour).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+}
+
+export function parseQuickAdd(input: string, domains: DomainDefinition[], now = new Date()): QuickAdd {
+  const found: { [K in QuickAddField]?: Set<string> } = {};
+  const note = (field: QuickAddField, value: string) => {
+    (found[field] ??= new Set()).add(value);
+  };
+  let rest = ` ${input} `;
+  // A handler returning false leaves the match in the title
+  const take = (pattern: RegExp, handle: (...groups: string[]) => boolean | void) => {
+    rest = rest.replace(pattern, (match, ...groups: string[]) => (handle(...groups) === false ? match : " "));
+  };
+
+  const tags: string[] = [];
+  take(/\s#([\w-]+)(?=\s)/g, (tag) => {
+    const [name] = parseTags(tag);
+    const domain = findDomain(domains, name);
+    if (domain) note("domain", domain);
+    else tags.push(name);
+  });
+
+  take(/\s!(\w+)(?=\s)/g, (word) => {
+    const priority = PRIORITY_WORDS[word.toLowerCase()];
+    if (priority) note("priority", priority);
+  });
+  take(/\s(!{2,})(?=\s)/g, () => note("priority", "high"));
+
+  take(/\b(\d+)\s*xp\b/gi, (amount) => {
+    if (Number(amount) > 0) note("xp", String(Number(amount)));
+  });
+
+  for (const [pattern, cadence] of CADENCE_PATTERNS) take(pattern, () => note("cadence", cadence));
+
+  take(/\b(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/gi, (hours, minutes, meridiem) => {
+    const time = to24Hour(Number(hours), Number(minutes ?? 0), meridiem);
+    if (time) note("time", time);
+  });
+  take(/\bat\s+(\d{1,2}):(\d{2})\b/gi, (hours, minutes) => {
+    const time = to24Hour(Number(hours), Number(minutes));
+    if (time) note("time", time);
+  });
+
+  take(/\b(?:(?:by|on|due)\s+)?(today|tonight|tomorrow|tmrw)\b/gi, (day) => {
+    const tomorrow = ["tomorrow", "tmrw"].includes(day.toLowerCase());
+    note("due", dateKey(tomorrow ? addDays(now, 1) : now));
+  });
+  take(new RegExp(`\\b(by|on|due|next)\\s+${WEEKDAY}\\b`, "gi"), (word, day) => {
+    const weekday = WEEKDAYS.indexOf(day.slice(0, 3).toLowerCase());
+    note("due", dateKey(weekdayDate(now, weekday, word.toLowerCase() === "next")));
+  });
+  take(/\b(?:(?:by|on|due)\s+)?(\d{4}-\d{2}-\d{2})\b/gi, (date) => {
+    // Dates roll over (2026-02-31 is March 3rd), so only take ones that round-trip
+    const [year, month, day] = date.split("-").map(Number);
+    if (dateKey(new Date(year, month - 1, day)) !== date) return false;
+    note("due", date);
+  });
+
+  // One value per field, or nothing when the input disagrees with itself
+  const ambiguous: QuickAddField[] = [];
+  const single = (field: QuickAddField) => {
+    const values = found[field];
+    if (!values) return undefined;
+    if (values.size > 1) {
+      ambiguous.push(field);
+      return undefined;
+    }
+    return [...values][0];
+  };
+
+  const domain = single("domain");
+  const xp = single("xp");
+  const priority = single("priority") as Priority | undefined;
+  const time = single("time");
+  let dueDate = single("due");
+  let cadence = single("cadence") as Quest["cadence"] | undefined;
+
+  // A due date makes a one-off quest; recurring quests keep only the time
+  if (!cadence && dueDate) cadence = "once";
+  if (cadence && cadence !== "once" && dueDate) {
+    ambiguous.push("due");
+    dueDate = undefined;
+  }
+  // "call the bank at 3pm" is due today
+  if (time && !dueDate && (cadence ?? "once") === "once" && !ambiguous.includes("due")) {
+    dueDate = dateKey(now);
+    cadence = "once";
+  }
+
+  return {
+    title: rest.replace(/\s+/g, " ").trim(),
+    ...(cadence && { cadence }),
+    ...(domain && { domain }),
+    ...(xp && { xp: Number(xp) }),
+    ...(dueDate && { dueDate }),
+    ...(time && { time }),
+    ...(priority && { priority }),
+    tags: [...new Set(tags)],
+    ambiguous,
+  };
+}
@@ -0,0 +1,23 @@
+import type { Retro, WeekStart } from "../types";
+import { RETRO_XP } from "../config/retro";
+import { periodKey } from "./cadence";
+
+// A retro counts when something came out of it: notes or an action item
+export const hasRetroContent = (retro: Pick<Retro, "notes" | "actions">) =>
+  retro.actions.length > 0 || Object.values(retro.notes).some(note => note.trim() !== "");
+
+// Whether a retro finished in the week of `now` has already paid out
+export function retroPaidThisWeek(retros: Retro[], now: Date, weekStart: WeekStart) {
+  const week = periodKey("weekly", now, weekStart);
+  return retros.some(retro => retro.xp > 0 && periodKey("weekly", new Date(retro.finishedAt), weekStart) === week);
+}
+
+// RETRO_XP at most once a week, so running empty retros back to back earns nothing
+export function retroXP(
+  retro: Pick<Retro, "notes" | "actions">,
+  retros: Retro[],
+  now: Date,
+  weekStart: WeekStart
+) {
+  return hasRetroContent(retro) && !retroPaidThisWeek(retros, now, weekStart) ? RETRO_XP : 0;
+}
@@ -0,0 +1,65 @@
+// Shapes returned by GET /api/reports/sales, and what the dashboard's
+// Company Snapshot card derives from them
+
+export type MonthlySales = {
+  year: number;
+  month: number;
+  monthName: string;
+  totalOrders: number;
+  totalRevenue: number;
+  averageOrderValue: number;
+  uniqueCustomerCount: number;
+};
+
+export type ProductSales = {
+  productName: string;
+  category: string;
+  totalQuantitySold: number;
+  totalRevenue: number;
+  rank: number;
+};
+
+export type SalesReport = {
+  generatedAt: string;
+  months: number;
+  currentMonth: { year: number; month: number; start: string };
+  trends: MonthlySales[];
+  products: ProductSales[];
+};
+
+export type SalesSnapshot = {
+  revenue: number;
+  // Change against last month as a fraction; null without last month's revenue
+  change: number | null;
+  // Revenue per month, oldest first, ending with the current month
+  sparkline: number[];
+  topProduct?: ProductSales;
+};
+
+// Months without orders are missing from the trends, so they're filled
+// in as zero revenue
+export function summarizeSales(report: SalesReport): SalesSnapshot {
+  const revenueByMonth = new Map(
+    report.trends.map(trend => [`${trend.year}-${trend.month}`, trend.totalRevenue])
+  );
+
+  const { year, month } = report.currentMonth;
+  const sparkline = Array.from({ length: report.months + 1 }, (_, index) => {
+    const date = new Date(year, month - 1 - (report.months - index), 1);
+    return revenueByMonth.get(`${date.getFullYear()}-${date.getMonth() + 1}`) ?? 0;
+  });
+
+  const revenue = sparkline[sparkline.length - 1];
+  const previous = sparkline[sparkline.length - 2] ?? 0;
+
+  return {
+    revenue,
+    change: previous > 0 ? (revenue - previous) / previous : null,
+    sparkline,
+    ...(report.products[0] && { topProduct: report.products[0] }),
+  };
+}
+
+export function formatCurrency(amount: number) {
+  return amount.toLocaleString(undefined, { style: "currency", currency: "USD", maximumFractionDigits: 0 });
+}
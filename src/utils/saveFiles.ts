@@ -0,0 +1,101 @@
+import type { GameSave } from "../types";
+import { mergeSaves, migrateSave } from "../storage";
+
+export type ImportMode = "merge" | "replace";
+
+export function downloadFile(filename: string, contents: string, type: string) {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export function exportFilename(save: GameSave, extension: string) {
+  const slug = (save.name ?? "player").toLowerCase().replace(/[^a-z0-9]+/g, "-");
+  return `dnd-life-${slug}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+export function saveToJSON(save: GameSave) {
+  return JSON.stringify(save, null, 2);
+}
+
+const CSV_COLUMNS = [
+  "quest_id",
+  "title",
+  "description",
+  "domain",
+  "cadence",
+  "xp",
+  "status",
+  "created_at",
+  "completed_at",
+  "period",
+  "xp_awarded",
+];
+
+function csvCell(value: unknown) {
+  let text = value === undefined || value === null ? "" : String(value);
+  // Keep spreadsheets from evaluating titles as formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per completion, plus one row for each quest never completed
+export function saveToCSV(save: GameSave) {
+  const rows = save.quests.flatMap(quest => {
+    const status = quest.archivedAt ? "archived" : quest.completed ? "completed" : "open";
+    const questCells = [
+      quest.id,
+      quest.title,
+      quest.description,
+      quest.domain,
+      quest.cadence,
+      quest.xp,
+      status,
+      quest.createdAt,
+    ];
+    const history = quest.history ?? [];
+
+    return history.length === 0
+      ? [[...questCells, "", "", ""]]
+      : history.map(record => [...questCells, record.completedAt, record.period, record.xp]);
+  });
+
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(",")).join("\r\n");
+}
+
+// Parse and validate an exported save file of any schema version.
+// Throws with a readable message when the file isn't a usable save.
+export function parseSaveFile(text: string): GameSave {
+  let raw: unknown;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error("This file is not a JSON save file.");
+  }
+  return migrateSave(raw);
+}
+
+// Replace swaps in the imported game as a new game; merge adds its quests,
+// completions and XP to the current game and keeps the current character
+export function combineSaves(current: GameSave, imported: GameSave, mode: ImportMode): GameSave {
+  if (mode === "replace") {
+    return { ...imported, name: imported.name ?? current.name, startedAt: new Date().toISOString() };
+  }
+
+  const merged = mergeSaves(current, { ...imported, startedAt: current.startedAt });
+  const known = new Set([...current.domains, ...current.party].map(item => item.id));
+  return {
+    ...merged,
+    // Keep our domains, party and templates and add any the imported save brings along
+    domains: [...current.domains, ...imported.domains.filter(domain => !known.has(domain.id))],
+    party: [...current.party, ...imported.party.filter(member => !known.has(member.id))],
+    templates: [...current.templates, ...imported.templates.filter(pack => !current.templates.some(own => own.id === pack.id))],
+    name: current.name,
+    character: current.character,
+    settings: current.settings,
+    streaks: current.streaks,
+  };
+}
@@ -0,0 +1,88 @@
+import type { Quest, WeekStart } from "../types";
+import { dateKey, nextResetAt, startOfDay } from "./cadence";
+
+// Parse a local YYYY-MM-DD date and optional HH:MM time
+export function localDateTime(date: string, time?: string) {
+  const [year, month, day] = date.split("-").map(Number);
+  const [hours, minutes] = (time ?? "23:59").split(":").map(Number);
+  return new Date(year, month - 1, day, hours, minutes);
+}
+
+function atTime(day: Date, time: string) {
+  const [hours, minutes] = time.split(":").map(Number);
+  const result = new Date(day);
+  result.setHours(hours, minutes, 0, 0);
+  return result;
+}
+
+// When the quest is due in its current period:
+// - one-off quests: their due date and time (end of day without a time)
+// - daily quests: today, at their preferred time or end of day
+// - weekly quests: the last day of the week, at their preferred time or end of day
+export function dueAt(quest: Quest, now: Date, weekStart: WeekStart): Date | null {
+  if (quest.cadence === "once") {
+    return quest.dueDate ? localDateTime(quest.dueDate, quest.dueTime) : null;
+  }
+
+  const reset = nextResetAt(quest.cadence, now, weekStart) as Date;
+  const lastDay = startOfDay(new Date(reset.getTime() - 1));
+  return atTime(lastDay, quest.preferredTime ?? "23:59");
+}
+
+// Whether the quest has an explicit time worth reminding about
+export function isTimed(quest: Quest) {
+  return quest.cadence === "once" ? Boolean(quest.dueDate && quest.dueTime) : Boolean(quest.preferredTime);
+}
+
+export function isOverdue(quest: Quest, now: Date, weekStart: WeekStart) {
+  if (quest.completed || quest.archivedAt) return false;
+  const due = dueAt(quest, now, weekStart);
+  return due !== null && due < now;
+}
+
+type Scheduled = { quest: Quest; due: Date };
+
+function scheduled(quests: Quest[], now: Date, weekStart: WeekStart) {
+  return quests
+    .filter(quest => !quest.archivedAt)
+    .map(quest => ({ quest, due: dueAt(quest, now, weekStart) }))
+    .filter((item): item is Scheduled => item.due !== null)
+    .sort((a, b) => a.due.getTime() - b.due.getTime());
+}
+
+// Open quests due today or already overdue, soonest first
+export function dueToday(quests: Quest[], now: Date, weekStart: WeekStart) {
+  const today = dateKey(now);
+  return scheduled(quests, now, weekStart)
+    .filter(({ quest, due }) => !quest.completed && dateKey(due) <= today)
+    .map(({ quest }) => quest);
+}
+
+// Open quests due after today, soonest first
+export function upcoming(quests: Quest[], now: Date, weekStart: WeekStart) {
+  const today = dateKey(now);
+  return scheduled(quests, now, weekStart)
+    .filter(({ quest, due }) => !quest.completed && dateKey(due) > today)
+    .map(({ quest }) => quest);
+}
+
+export type Reminder = {
+  // Stable per quest and due moment, so each reminder fires once
+  key: string;
+  questId: string;
+  title: string;
+  body: string;
+  at: number;
+};
+
+export function pendingReminders(quests: Quest[], now: Date, weekStart: WeekStart): Reminder[] {
+  return scheduled(quests, now, weekStart)
+    .filter(({ quest }) => !quest.completed && isTimed(quest))
+    .map(({ quest, due }) => ({
+      key: `${quest.id}@${due.toISOString()}`,
+      questId: quest.id,
+      title: quest.title,
+      body: quest.cadence === "once" ? "This quest is due now." : `Time for your ${quest.cadence} quest.`,
+      at: due.getTime(),
+    }));
+}
@@ -0,0 +1,187 @@
+import type { Domain, Quest, Streak, StreakState, StreakSummary, WeekStart } from "../types";
+import { dateKey, periodKey, startOfDay, startOfWeek } from "./cadence";
+
+// A freeze token is earned every FREEZE_EVERY days of global streak
+export const FREEZE_EVERY = 7;
+export const MAX_FREEZES = 2;
+
+export const emptyStreakState: StreakState = {
+  freezes: 0,
+  frozenDays: [],
+  longest: { global: 0, domains: {}, quests: {} },
+};
+
+type StreakCadence = "daily" | "weekly";
+
+function completionDates(quests: Quest[]) {
+  return quests.flatMap(quest => (quest.history ?? []).map(record => new Date(record.completedAt)));
+}
+
+function periodStart(cadence: StreakCadence, date: Date, weekStart: WeekStart) {
+  return cadence === "daily" ? startOfDay(date) : startOfWeek(date, weekStart);
+}
+
+// Walk periods backwards from `now` to the first completion. Frozen periods
+// neither extend nor break a run, and the still-open current period only
+// counts once something was completed in it.
+export function computeStreak(
+  dates: Date[],
+  cadence: StreakCadence,
+  now: Date,
+  weekStart: WeekStart,
+  frozen: Set<string> = new Set()
+): Streak {
+  if (dates.length === 0) return { current: 0, longest: 0 };
+
+  const active = new Set(dates.map(date => periodKey(cadence, date, weekStart)));
+  const earliest = periodStart(cadence, new Date(Math.min(...dates.map(d => d.getTime()))), weekStart);
+  const cursor = periodStart(cadence, now, weekStart);
+  const step = cadence === "daily" ? 1 : 7;
+
+  let current = 0;
+  let longest = 0;
+  let run = 0;
+  let broken = false;
+
+  if (!active.has(periodKey(cadence, cursor, weekStart))) {
+    cursor.setDate(cursor.getDate() - step);
+  }
+
+  while (cursor >= earliest) {
+    const key = periodKey(cadence, cursor, weekStart);
+
+    if (active.has(key)) {
+      run += 1;
+    } else if (!frozen.has(key)) {
+      if (!broken) current = run;
+      broken = true;
+      run = 0;
+    }
+
+    longest = Math.max(longest, run);
+    cursor.setDate(cursor.getDate() - step);
+  }
+
+  if (!broken) current = run;
+
+  return { current, longest };
+}
+
+function frozenKeys(state: StreakState) {
+  return new Set(state.frozenDays);
+}
+
+export function computeStreaks(
+  quests: Quest[],
+  state: StreakState,
+  now: Date,
+  weekStart: WeekStart
+): StreakSummary {
+  const frozen = frozenKeys(state);
+  const withRecord = (streak: Streak, recorded = 0) => ({
+    ...streak,
+    longest: Math.max(streak.longest, recorded),
+  });
+
+  const global = withRecord(
+    computeStreak(completionDates(quests), "daily", now, weekStart, frozen),
+    state.longest.global
+  );
+
+  const domains: Record<Domain, Streak> = {};
+  for (const domain of new Set(quests.map(quest => quest.domain))) {
+    const dates = completionDates(quests.filter(quest => quest.domain === domain));
+    domains[domain] = withRecord(
+      computeStreak(dates, "daily", now, weekStart, frozen),
+      state.longest.domains[domain]
+    );
+  }
+
+  const questStreaks: Record<string, Streak> = {};
+  for (const quest of quests) {
+    if (quest.cadence === "once") continue;
+    const frozenForQuest = quest.cadence === "daily" ? frozen : undefined;
+    questStreaks[quest.id] = withRecord(
+      computeStreak(completionDates([quest]), quest.cadence, now, weekStart, frozenForQuest),
+      state.longest.quests[quest.id]
+    );
+  }
+
+  return { global, domains, quests: questStreaks };
+}
+
+// Spend freeze tokens on the days missed since the last active day, but only
+// when there are enough tokens to bridge the whole gap
+function applyFreezes(state: StreakState, quests: Quest[], now: Date): StreakState {
+  if (state.freezes === 0) return state;
+
+  const active = new Set(completionDates(quests).map(dateKey));
+  const frozen = frozenKeys(state);
+  const missed: string[] = [];
+  const cursor = startOfDay(now);
+
+  for (let i = 0; i <= state.freezes; i++) {
+    cursor.setDate(cursor.getDate() - 1);
+    const key = dateKey(cursor);
+
+    if (active.has(key) || frozen.has(key)) {
+      if (missed.length === 0) return state;
+      return {
+        ...state,
+        freezes: state.freezes - missed.length,
+        frozenDays: [...state.frozenDays, ...missed],
+      };
+    }
+
+    missed.push(key);
+  }
+
+  return state;
+}
+
+// Bring persisted streak bookkeeping up to date with the current quests:
+// consume freezes for missed days, award new ones and raise longest records.
+export function updateStreakState(
+  state: StreakState,
+  quests: Quest[],
+  now: Date,
+  weekStart: WeekStart
+): StreakState {
+  let next = applyFreezes(state, quests, now);
+  const summary = computeStreaks(quests, next, now, weekStart);
+  const today = dateKey(now);
+
+  if (
+    summary.global.current > 0 &&
+    summary.global.current % FREEZE_EVERY === 0 &&
+    next.lastFreezeAwardedOn !== today &&
+    next.freezes < MAX_FREEZES
+  ) {
+    next = { ...next, freezes: next.freezes + 1, lastFreezeAwardedOn: today };
+  }
+
+  const longest = {
+    global: summary.global.longest,
+    // Records of domains without quests (e.g. removed ones) are kept
+    domains: {
+      ...next.longest.domains,
+      ...Object.fromEntries(
+        Object.entries(summary.domains).map(([domain, streak]) => [domain, streak?.longest ?? 0])
+      ),
+    },
+    quests: {
+      ...next.longest.quests,
+      ...Object.fromEntries(
+        Object.entries(summary.quests).map(([id, streak]) => [id, streak.longest])
+      ),
+    },
+  };
+
+  const unchanged =
+    next === state &&
+    longest.global === state.longest.global &&
+    Object.entries(longest.domains).every(([domain, value]) => state.longest.domains[domain] === value) &&
+    Object.entries(longest.quests).every(([id, value]) => state.longest.quests[id] === value);
+
+  return unchanged ? state : { ...next, longest };
+}
@@ -0,0 +1,131 @@
+import type { AttributeValues, Domain, DomainDefinition, Quest, QuestTemplate, TemplatePack } from "../types";
+import { ATTRIBUTES } from "./attributes";
+import { DIFFICULTIES } from "./xpRules";
+import { parseTags } from "./questFilters";
+import { isObject, isText } from "./guards";
+
+export class TemplatePackError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "TemplatePackError";
+  }
+}
+
+const CADENCES: Quest["cadence"][] = ["daily", "weekly", "once"];
+
+const isPositive = (value: unknown): value is number => typeof value === "number" && value > 0;
+
+function parseAttributes(raw: unknown, title: string): AttributeValues | undefined {
+  if (raw === undefined) return undefined;
+  if (!isObject(raw)) throw new TemplatePackError(`template "${title}" has malformed attribute weights`);
+
+  const unknown = Object.keys(raw).find(key => !ATTRIBUTES.some(attribute => attribute.key === key));
+  if (unknown) throw new TemplatePackError(`template "${title}" has an unknown attribute "${unknown}"`);
+
+  const weights = Object.fromEntries(Object.entries(raw).filter(([, weight]) => isPositive(weight)));
+  return Object.keys(weights).length > 0 ? weights : undefined;
+}
+
+function parseTemplate(raw: unknown, index: number): QuestTemplate {
+  if (!isObject(raw) || !isText(raw.title) || !isText(raw.domain) || !isPositive(raw.xp)) {
+    throw new TemplatePackError(`template #${index + 1} needs a title, domain and XP`);
+  }
+
+  const title = raw.title.trim();
+  if (!CADENCES.includes(raw.cadence as Quest["cadence"])) {
+    throw new TemplatePackError(`template "${title}" has an unknown cadence "${String(raw.cadence)}"`);
+  }
+  if (raw.difficulty !== undefined && !DIFFICULTIES.some(({ key }) => key === raw.difficulty)) {
+    throw new TemplatePackError(`template "${title}" has an unknown difficulty "${String(raw.difficulty)}"`);
+  }
+
+  const attributes = parseAttributes(raw.attributes, title);
+  const tags = Array.isArray(raw.tags) ? parseTags(raw.tags.filter(isText).join(",")) : [];
+
+  return {
+    title,
+    ...(isText(raw.description) && { description: raw.description.trim() }),
+    domain: raw.domain,
+    cadence: raw.cadence as Quest["cadence"],
+    xp: Math.round(raw.xp),
+    ...(raw.difficulty !== undefined && { difficulty: raw.difficulty as QuestTemplate["difficulty"] }),
+    ...(isPositive(raw.estimatedMinutes) && { estimatedMinutes: Math.round(raw.estimatedMinutes) }),
+    ...(attributes && { attributes }),
+    ...(tags.length > 0 && { tags }),
+  };
+}
+
+// Validate a template pack read from JSON, bundled or shared by another user
+export function parseTemplatePack(raw: unknown): TemplatePack {
+  if (!isObject(raw) || !isText(raw.id) || !isText(raw.title) || !Array.isArray(raw.templates)) {
+    throw new TemplatePackError("a template pack needs an id, title and list of templates");
+  }
+  if (raw.templates.length === 0) throw new TemplatePackError(`pack "${raw.title}" has no templates`);
+
+  return {
+    id: raw.id,
+    title: raw.title.trim(),
+    description: isText(raw.description) ? raw.description.trim() : "",
+    templates: raw.templates.map(parseTemplate),
+    ...(isText(raw.createdAt) && { createdAt: raw.createdAt }),
+  };
+}
+
+// `base`, or `base-2`, `base-3`... when another pack already has that id
+export function uniquePackId(base: string, takenIds: string[]) {
+  const taken = new Set(takenIds);
+  let id = base;
+  for (let suffix = 2; taken.has(id); suffix++) id = `${base}-${suffix}`;
+  return id;
+}
+
+// Share a set of the user's own quests as a pack. Only the blueprint is
+// kept: progress, schedule and party assignments stay with the quests.
+export function packFromQuests(
+  title: string,
+  description: string,
+  quests: Quest[],
+  takenIds: string[],
+  now = new Date()
+): TemplatePack {
+  const name = title.trim();
+  if (!name) throw new TemplatePackError("A template pack needs a title");
+  if (quests.length === 0) throw new TemplatePackError("Pick at least one quest for the pack");
+
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "pack";
+
+  return {
+    id: uniquePackId(base, takenIds),
+    title: name,
+    description: description.trim(),
+    templates: quests.map(quest => ({
+      title: quest.title,
+      ...(quest.description && { description: quest.description }),
+      domain: quest.domain,
+      cadence: quest.cadence,
+      xp: quest.xp,
+      ...(quest.difficulty && { difficulty: quest.difficulty }),
+      ...(quest.estimatedMinutes && { estimatedMinutes: quest.estimatedMinutes }),
+      ...(quest.attributes && { attributes: quest.attributes }),
+      ...(quest.tags?.length && { tags: quest.tags }),
+    })),
+    createdAt: now.toISOString(),
+  };
+}
+
+// Domains a pack's templates use that the user's registry doesn't have
+export function missingDomains(pack: TemplatePack, domains: DomainDefinition[]): Domain[] {
+  const known = new Set(domains.map(domain => domain.id));
+  return [...new Set(pack.templates.map(template => template.domain))].filter(id => !known.has(id));
+}
+
+// The pack's active quests, which installing again won't duplicate
+export function installedFromPack(quests: Quest[], packId: string) {
+  return quests.filter(quest => quest.templatePackId === packId && !quest.archivedAt);
+}
+
+// Templates a (re)install would still add: those without an active quest of the same title
+export function templatesToInstall(pack: TemplatePack, quests: Quest[]) {
+  const installed = new Set(installedFromPack(quests, pack.id).map(quest => quest.title.toLowerCase()));
+  return pack.templates.filter(template => !installed.has(template.title.toLowerCase()));
+}
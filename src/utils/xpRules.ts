@@ -0,0 +1,48 @@
+import type { Difficulty, Quest, XPRulesConfig } from "../types";
+import { XP_RULES } from "../config/xpRules";
+
+export const DIFFICULTIES: { key: Difficulty; label: string }[] = [
+  { key: "easy", label: "Easy" },
+  { key: "medium", label: "Medium" },
+  { key: "hard", label: "Hard" },
+  { key: "epic", label: "Epic" },
+];
+
+export const DEFAULT_DIFFICULTY: Difficulty = "medium";
+
+type XPInput = Pick<Quest, "domain" | "cadence" | "difficulty" | "estimatedMinutes">;
+
+// Base XP a quest is worth, before completion bonuses
+export function computeQuestXP(quest: XPInput, rules: XPRulesConfig = XP_RULES) {
+  const minutes = Math.min(Math.max(0, quest.estimatedMinutes ?? 0), rules.maxMinutes);
+  const raw =
+    (rules.base + minutes * rules.perMinute) *
+    rules.difficulty[quest.difficulty ?? DEFAULT_DIFFICULTY] *
+    rules.cadence[quest.cadence] *
+    (rules.domain[quest.domain] ?? 1);
+
+  return Math.min(rules.max, Math.max(rules.min, Math.round(raw)));
+}
+
+export type CompletionContext = {
+  firstCompletion: boolean;
+  // Current streak of the quest before this completion, in periods
+  streak: number;
+};
+
+export function completionMultiplier(context: CompletionContext, rules: XPRulesConfig = XP_RULES) {
+  const { bonuses } = rules;
+  const streakBonus = Math.min(bonuses.maxStreakBonus, context.streak * bonuses.perStreakPeriod);
+  const firstBonus = context.firstCompletion ? bonuses.firstCompletion : 1;
+
+  return firstBonus * (1 + streakBonus);
+}
+
+// XP actually awarded for completing `quest` now
+export function completionXP(
+  quest: Pick<Quest, "xp">,
+  context: CompletionContext,
+  rules: XPRulesConfig = XP_RULES
+) {
+  return Math.round(quest.xp * completionMultiplier(context, rules));
+}